@@ -0,0 +1,138 @@
+import { firstKey, firstValue, toNumber } from './numbers.js';
+
+/**
+ * Parse ETF holdings and allocation payloads into weights, and combine them across funds.
+ * Weights are fractions of the fund (0.07 = 7%); lists given in percent are scaled down.
+ */
+
+const TICKER_KEYS = ['symbol', 'ticker', 'holdingSymbol', 'code'];
+const NAME_KEYS = ['name', 'holdingName', 'description', 'label'];
+const WEIGHT_KEYS = ['weight', 'holdingPercent', 'weightPercent', 'percent', 'pct', 'allocation', 'value'];
+const LIST_KEYS = ['data', 'holdings', 'items', 'results'];
+
+// Weight fields whose name gives their unit
+const PERCENT_KEY = /percent|pct/i;
+
+/**
+ * Parse a weight, noting whether it is a percentage: written as "7.1%" or under a field such as `holdingPercent`
+ */
+function toWeight(value, key = null) {
+  const percentText = typeof value === 'string' && value.includes('%');
+  return {
+    weight: toNumber(percentText ? value.replace('%', '') : value),
+    percent: percentText || PERCENT_KEY.test(key ?? ''),
+  };
+}
+
+/**
+ * Weight of a holding or allocation entry, read from the first weight field it has
+ */
+function entryWeight(item) {
+  const key = firstKey(item, WEIGHT_KEYS);
+  return toWeight(key === null ? null : item[key], key);
+}
+
+/**
+ * Scale a list of weights to fractions: percentages always, other numbers when any of them is above 1 (a list of
+ * fractions has none). Short lists of small unlabeled weights (0.4, 0.3) are read as fractions.
+ */
+function toFractions(entries) {
+  const scale = entries.some(({ weight, percent }) => !percent && weight > 1) ? 100 : 1;
+  return entries.map(({ percent, ...entry }) => ({ ...entry, weight: entry.weight / (percent ? 100 : scale) }));
+}
+
+/**
+ * Find the list inside a payload: the payload itself or its first array under a known key
+ */
+function findList(payload) {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+  if (payload && typeof payload === 'object') {
+    for (const key of LIST_KEYS) {
+      const list = findList(payload[key]);
+      if (list.length > 0) return list;
+    }
+  }
+  return [];
+}
+
+/**
+ * Holdings as `[{ ticker, name, weight }]`, largest first. Entries without a weight are skipped.
+ */
+export function parseHoldings(payload) {
+  const entries = findList(payload)
+  .filter((item) => item && typeof item === 'object')
+  .map((item) => {
+    const name = firstValue(item, NAME_KEYS);
+    const ticker = firstValue(item, TICKER_KEYS) ?? name;
+    return {
+      ticker: ticker === null ? null : String(ticker).trim().toUpperCase(),
+      name: name === null ? null : String(name),
+      ...entryWeight(item),
+    };
+  })
+  .filter(({ ticker, weight }) => ticker && weight !== null);
+
+  return toFractions(entries).sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Allocation list or map (`[{ sector: 'Technology', weight: 30 }]` or `{ Technology: 0.3 }`) as `{ name: fraction }`
+ */
+function parseAllocation(value) {
+  let entries = [];
+  if (Array.isArray(value)) {
+    entries = value
+    .filter((item) => item && typeof item === 'object')
+    .map((item) => ({
+      name: firstValue(item, ['sector', 'region', 'country', ...NAME_KEYS]),
+      ...entryWeight(item),
+    }));
+  } else if (value && typeof value === 'object') {
+    entries = Object.entries(value).map(([name, weight]) => ({ name, ...toWeight(weight) }));
+  }
+  return Object.fromEntries(toFractions(entries.filter(({ name, weight }) => name && weight !== null))
+  .map(({ name, weight }) => [String(name), weight]));
+}
+
+/**
+ * Sector and region weights of a fund from its allocation payload
+ */
+export function parseAllocations(payload) {
+  let data = payload;
+  while (data && typeof data === 'object' && !Array.isArray(data) && Object.keys(data).length === 1 && data.data) {
+    data = data.data;
+  }
+  const find = (pattern) => {
+    const key = data && typeof data === 'object' ? Object.keys(data).find((name) => pattern.test(name)) : undefined;
+    return key === undefined ? {} : parseAllocation(data[key]);
+  };
+  return {
+    sectors: find(/sector/i),
+    regions: find(/region|countr|geograph/i),
+  };
+}
+
+/**
+ * Overlap of two holdings lists: the weight they have in common (sum of the smaller weight of every shared
+ * constituent) and the shared constituents
+ */
+export function holdingsOverlap(a, b) {
+  const weightsB = new Map(b.map(({ ticker, weight }) => [ticker, weight]));
+  const shared = a.filter(({ ticker }) => weightsB.has(ticker));
+  return {
+    weightOverlap: shared.reduce((sum, { ticker, weight }) => sum + Math.min(weight, weightsB.get(ticker)), 0),
+    shared: shared.map(({ ticker }) => ticker),
+  };
+}
+
+/**
+ * Add `weight * scale` for every entry of a `{ name: fraction }` map into a running total
+ */
+export function accumulate(totals, weights, scale) {
+  for (const [name, weight] of Object.entries(weights)) {
+    totals.set(name, (totals.get(name) || 0) + weight * scale);
+  }
+  return totals;
+}
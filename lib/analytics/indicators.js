@@ -0,0 +1,114 @@
+/**
+ * Technical indicators over a series of closing prices.
+ * Every function returns an array aligned with its input, with null where the indicator is not yet defined.
+ */
+
+/**
+ * Simple moving average
+ */
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+/**
+ * Exponential moving average, seeded with the simple average of the first `period` values.
+ * Leading nulls in the input (e.g. from another indicator) are skipped.
+ */
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex((value) => value !== null);
+  if (start === -1 || values.length - start < period) {
+    return result;
+  }
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = previous;
+  for (let i = start + period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+  return result;
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ */
+export function rsi(values, period = 14) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) {
+    return result;
+  }
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  const value = () => (loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss));
+  result[period] = value();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = value();
+  }
+  return result;
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal line and the histogram
+ */
+export function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i]));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Bollinger bands: SMA middle band with upper and lower bands `multiplier` population standard deviations away
+ */
+export function bollinger(values, period = 20, multiplier = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+  }
+  return { upper, middle, lower };
+}
+
+/**
+ * Index of the most recent bar where series `a` crossed series `b`, with the direction, or null
+ */
+export function lastCrossover(a, b) {
+  for (let i = a.length - 1; i > 0; i--) {
+    if ([a[i], b[i], a[i - 1], b[i - 1]].some((value) => value === null)) {
+      return null;
+    }
+    const before = a[i - 1] - b[i - 1];
+    const after = a[i] - b[i];
+    if (before <= 0 && after > 0) return { index: i, direction: 'bullish' };
+    if (before >= 0 && after < 0) return { index: i, direction: 'bearish' };
+  }
+  return null;
+}
@@ -0,0 +1,78 @@
+/**
+ * Round every number in a result so output is stable across platforms and easy to compare
+ */
+export function roundNumbers(value, digits = 6) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => roundNumbers(item, digits));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundNumbers(item, digits)]));
+  }
+  return value;
+}
+
+/**
+ * Field name with case, spaces and punctuation removed, so "Total Revenue" matches "totalRevenue"
+ */
+export function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * First of `keys` that an object has a non-empty value for, or null
+ */
+export function firstKey(object, keys) {
+  return keys.find((name) => object[name] !== undefined && object[name] !== null && object[name] !== '') ?? null;
+}
+
+/**
+ * Value of the first of `keys` that an object has a non-empty value for, or null
+ */
+export function firstValue(object, keys) {
+  const key = firstKey(object, keys);
+  return key === null ? null : object[key];
+}
+
+/**
+ * Number from a raw value: a number, a numeric string or a `{ raw, fmt }` object
+ */
+export function toNumber(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return toNumber(value.raw ?? value.value);
+  }
+  if (typeof value === 'string') {
+    const text = value.replace(/[,\s]/g, '');
+    return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Look up numeric fields of a payload by name, wherever they are nested. Returns a function that takes a list of
+ * field names in order of preference and returns the first value found, or null.
+ */
+export function numberLookup(payload) {
+  const values = new Map();
+  const visit = (value) => {
+    if (!value || typeof value !== 'object') return;
+    for (const [key, item] of Object.entries(value)) {
+      const number = toNumber(item);
+      if (number !== null) {
+        if (!values.has(normalizeName(key))) values.set(normalizeName(key), number);
+      } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+        visit(item);
+      }
+    }
+  };
+  visit(payload);
+  return (names) => {
+    for (const name of names) {
+      const value = values.get(normalizeName(name));
+      if (value !== undefined) return value;
+    }
+    return null;
+  };
+}
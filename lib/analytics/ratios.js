@@ -0,0 +1,109 @@
+/**
+ * Financial ratios from normalized statement periods (see statements.js). Ratios are fractions (0.25 = 25%) and
+ * null when an input is missing or a denominator is zero. Return ratios of quarterly periods are not annualized.
+ */
+
+// A period counts as "a year earlier" when its end date is 365 days earlier, give or take this many days
+const YEAR_TOLERANCE_DAYS = 45;
+
+function ratio(numerator, denominator) {
+  if (numerator === null || numerator === undefined || !denominator) {
+    return null;
+  }
+  return numerator / denominator;
+}
+
+function growth(current, previous) {
+  if (current === null || current === undefined || !previous) {
+    return null;
+  }
+  return (current - previous) / Math.abs(previous);
+}
+
+/**
+ * Average of the opening and closing balance, or the closing balance when there is no opening one
+ */
+function average(closing, opening) {
+  if (closing === null) return null;
+  return opening === null || opening === undefined ? closing : (closing + opening) / 2;
+}
+
+/**
+ * Effective tax rate, kept within [0, 1]
+ */
+export function taxRate(income) {
+  const rate = ratio(income.incomeTax, income.pretaxIncome);
+  return rate === null ? null : Math.min(1, Math.max(0, rate));
+}
+
+/**
+ * Capital provided by lenders and shareholders, net of cash
+ */
+export function investedCapital(balance) {
+  if (balance.shareholdersEquity === null || balance.totalDebt === null) {
+    return null;
+  }
+  return balance.shareholdersEquity + balance.totalDebt - (balance.cash || 0);
+}
+
+/**
+ * The period of the same frequency that ended about a year before `period`
+ */
+export function yearAgo(periods, period) {
+  const target = Date.parse(period.endDate) - 365 * 86400000;
+  return periods.find((other) => other.frequency === period.frequency
+    && Math.abs(Date.parse(other.endDate) - target) <= YEAR_TOLERANCE_DAYS * 86400000) || null;
+}
+
+/**
+ * The period of the same frequency that ended just before `period`
+ */
+export function previousPeriod(periods, period) {
+  return periods
+  .filter((other) => other.frequency === period.frequency && other.endDate < period.endDate)
+  .sort((a, b) => b.endDate.localeCompare(a.endDate))[0] || null;
+}
+
+/**
+ * Margin, return, leverage, liquidity and growth ratios of one period. `previous` is the prior period (for average
+ * balances) and `prior` the period a year earlier (for growth).
+ */
+export function periodRatios({ income, balance, cashFlow }, { previous = null, prior = null } = {}) {
+  const tax = taxRate(income);
+  const nopat = income.ebit === null || tax === null ? null : income.ebit * (1 - tax);
+  const netDebt = balance.totalDebt === null ? null : balance.totalDebt - (balance.cash || 0);
+
+  return {
+    margins: {
+      gross: ratio(income.grossProfit, income.revenue),
+      operating: ratio(income.operatingIncome, income.revenue),
+      ebitda: ratio(income.ebitda, income.revenue),
+      net: ratio(income.netIncome, income.revenue),
+      freeCashFlow: ratio(cashFlow.freeCashFlow, income.revenue),
+    },
+    returns: {
+      roe: ratio(income.netIncome, average(balance.shareholdersEquity, previous?.balance.shareholdersEquity)),
+      roa: ratio(income.netIncome, average(balance.totalAssets, previous?.balance.totalAssets)),
+      roic: ratio(nopat, average(investedCapital(balance), previous && investedCapital(previous.balance))),
+      taxRate: tax,
+    },
+    leverage: {
+      debtToEquity: ratio(balance.totalDebt, balance.shareholdersEquity),
+      debtToAssets: ratio(balance.totalDebt, balance.totalAssets),
+      netDebtToEbitda: ratio(netDebt, income.ebitda),
+      interestCoverage: income.interestExpense ? ratio(income.ebit, Math.abs(income.interestExpense)) : null,
+    },
+    liquidity: {
+      currentRatio: ratio(balance.currentAssets, balance.currentLiabilities),
+      quickRatio: balance.currentAssets === null ? null : ratio(balance.currentAssets - (balance.inventory || 0), balance.currentLiabilities),
+      cashRatio: balance.cash === null ? null : ratio(balance.cash + (balance.shortTermInvestments || 0), balance.currentLiabilities),
+    },
+    growth: {
+      revenue: growth(income.revenue, prior?.income.revenue),
+      operatingIncome: growth(income.operatingIncome, prior?.income.operatingIncome),
+      netIncome: growth(income.netIncome, prior?.income.netIncome),
+      dilutedEps: growth(income.dilutedEps, prior?.income.dilutedEps),
+      freeCashFlow: growth(cashFlow.freeCashFlow, prior?.cashFlow.freeCashFlow),
+    },
+  };
+}
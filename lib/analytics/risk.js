@@ -0,0 +1,196 @@
+import { alignSeries } from './series.js';
+
+/**
+ * Return and risk statistics over price series (`[{ date, close }]`, oldest first).
+ * Returns are simple period returns; annualization uses the number of bars per year of the series.
+ */
+
+/**
+ * Bars per year for an interval; crypto trades every day, other assets on ~252 sessions a year
+ */
+export function periodsPerYear(interval = 'daily', asset = 'stock') {
+  if (interval === 'weekly') return 52;
+  if (interval === 'monthly') return 12;
+  return asset === 'crypto' ? 365 : 252;
+}
+
+/**
+ * Simple returns between consecutive closes
+ */
+export function simpleReturns(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    returns.push(closes[i] / closes[i - 1] - 1);
+  }
+  return returns;
+}
+
+export function mean(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation
+ */
+export function stdev(values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Sample covariance of two equally long series
+ */
+export function covariance(a, b) {
+  if (a.length < 2 || a.length !== b.length) {
+    return null;
+  }
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+/**
+ * Pearson correlation of two equally long series
+ */
+export function correlation(a, b) {
+  const cov = covariance(a, b);
+  const sdA = stdev(a);
+  const sdB = stdev(b);
+  return cov === null || !sdA || !sdB ? null : cov / (sdA * sdB);
+}
+
+/**
+ * Pairwise correlations of several equally long return series, as a symmetric matrix with 1 on the diagonal
+ */
+export function correlationMatrix(returnsList) {
+  return returnsList.map((a, i) => returnsList.map((b, j) => (i === j ? 1 : correlation(a, b))));
+}
+
+/**
+ * Beta of returns `a` against benchmark returns `b`
+ */
+export function beta(a, b) {
+  const cov = covariance(a, b);
+  const sdB = stdev(b);
+  return cov === null || !sdB ? null : cov / (sdB * sdB);
+}
+
+/**
+ * Quantile with linear interpolation between order statistics
+ */
+export function quantile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Historical value at risk and expected shortfall for one period, as positive loss fractions
+ */
+export function valueAtRisk(returns, confidence = 0.95) {
+  const cutoff = quantile(returns, 1 - confidence);
+  if (cutoff === null) {
+    return { valueAtRisk: null, expectedShortfall: null };
+  }
+  const tail = returns.filter((value) => value <= cutoff);
+  return { valueAtRisk: -cutoff, expectedShortfall: -mean(tail) };
+}
+
+/**
+ * Largest peak-to-trough decline, with the dates of the peak and the trough
+ */
+export function maxDrawdown(series) {
+  let peak = series[0];
+  let worst = { maxDrawdown: 0, peakDate: null, troughDate: null };
+  for (const point of series) {
+    if (point.close > peak.close) {
+      peak = point;
+    }
+    const drawdown = point.close / peak.close - 1;
+    if (drawdown < worst.maxDrawdown) {
+      worst = { maxDrawdown: drawdown, peakDate: peak.date, troughDate: point.date };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Calendar date `months` before an ISO date, clamped to the end of shorter months
+ */
+function monthsBefore(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 - months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns over trailing windows ending at the last bar; null when the series does not reach back far enough
+ */
+export function periodReturns(series) {
+  const last = series[series.length - 1];
+  const startDates = {
+    '1m': monthsBefore(last.date, 1),
+    '3m': monthsBefore(last.date, 3),
+    '6m': monthsBefore(last.date, 6),
+    ytd: `${Number(last.date.slice(0, 4)) - 1}-12-31`,
+    '1y': monthsBefore(last.date, 12),
+  };
+
+  const result = {};
+  for (const [period, start] of Object.entries(startDates)) {
+    // Close on or before the start date, so the window covers the whole period
+    const base = series.filter((point) => point.date <= start).pop();
+    result[period] = base ? last.close / base.close - 1 : null;
+  }
+  result.total = last.close / series[0].close - 1;
+  return result;
+}
+
+/**
+ * Beta and correlation of a series against a benchmark, over the returns between the dates both have a close for
+ */
+export function benchmarkMetrics(series, benchmark) {
+  const { closes } = alignSeries([series, benchmark]);
+  const [returns, benchmarkReturns] = closes.map(simpleReturns);
+  return {
+    beta: beta(returns, benchmarkReturns),
+    correlation: correlation(returns, benchmarkReturns),
+    benchmarkObservations: returns.length,
+  };
+}
+
+/**
+ * Return and risk statistics of one series, plus beta and correlation when a benchmark series is given
+ */
+export function riskMetrics(series, { periods = 252, riskFreeRate = 0, confidence = 0.95, benchmark } = {}) {
+  const returns = simpleReturns(series.map(({ close }) => close));
+  const periodRiskFree = (1 + riskFreeRate) ** (1 / periods) - 1;
+  const excess = returns.map((value) => value - periodRiskFree);
+  const sd = stdev(returns);
+  const downside = returns.length > 0 ? Math.sqrt(mean(excess.map((value) => Math.min(value, 0) ** 2))) : null;
+  const totalReturn = series[series.length - 1].close / series[0].close - 1;
+
+  return {
+    observations: returns.length,
+    start: series[0].date,
+    end: series[series.length - 1].date,
+    periodReturns: periodReturns(series),
+    annualizedReturn: returns.length > 0 ? (1 + totalReturn) ** (periods / returns.length) - 1 : null,
+    annualizedVolatility: sd === null ? null : sd * Math.sqrt(periods),
+    sharpe: sd ? (mean(excess) / sd) * Math.sqrt(periods) : null,
+    sortino: downside ? (mean(excess) / downside) * Math.sqrt(periods) : null,
+    ...maxDrawdown(series),
+    ...valueAtRisk(returns, confidence),
+    ...(benchmark && benchmarkMetrics(series, benchmark)),
+  };
+}
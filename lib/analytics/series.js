@@ -0,0 +1,70 @@
+import { NotFoundError } from '../errors.js';
+import { priceSeries } from '../prices.js';
+
+/**
+ * Price history tool used for each asset class
+ */
+export const PRICE_TOOLS = {
+  stock: "stocks_prices",
+  etf: "stocks_prices",
+  crypto: "crypto_prices",
+  forex: "forex_prices",
+  future: "future_prices",
+  index: "indices_prices",
+};
+
+/**
+ * Fetch closing prices for one symbol through its *_prices tool, so the call is validated, normalized and cached
+ * like a direct tool call. Throws NotFoundError when the history has no usable bars.
+ */
+export async function fetchPriceSeries(context, { asset = 'stock', ticker, from, to, interval }) {
+  const tool = PRICE_TOOLS[asset];
+  const args = Object.fromEntries(Object.entries({ ticker, from, to, interval }).filter(([, value]) => value !== undefined));
+  const series = priceSeries(await context.registry.call(tool, args, context));
+  if (series.length === 0) {
+    throw new NotFoundError(`No price history with closing prices for ${ticker}`, {
+      hint: `Check the symbol and date range with ${tool}`,
+    });
+  }
+  return series;
+}
+
+export const ALIGNMENT_METHODS = ['intersection', 'forward-fill'];
+
+/**
+ * Align several series on a common calendar.
+ *   - `intersection`: only dates every series has a close for (e.g. crypto weekends are dropped next to equities)
+ *   - `forward-fill`: every date any series has between the latest first date and the earliest last date,
+ *     carrying each last close forward
+ * Returns the dates and, per series, its closes on those dates.
+ */
+export function alignSeries(seriesList, { method = 'intersection' } = {}) {
+  const maps = seriesList.map((series) => new Map(series.map(({ date, close }) => [date, close])));
+
+  if (method === 'forward-fill') {
+    const start = seriesList.map((series) => series[0]?.date).sort().pop();
+    const end = seriesList.map((series) => series[series.length - 1]?.date).sort()[0];
+    const dates = [...new Set(seriesList.flatMap((series) => series.map(({ date }) => date)))]
+    .filter((date) => date >= start && date <= end)
+    .sort();
+    const closes = seriesList.map((series, i) => {
+      let last = null;
+      // Seed with the last close on or before the start date
+      for (const point of series) {
+        if (point.date > start) break;
+        last = point.close;
+      }
+      return dates.map((date) => {
+        if (maps[i].has(date)) last = maps[i].get(date);
+        return last;
+      });
+    });
+    return { dates, closes };
+  }
+
+  const dates = [...maps[0].keys()].filter((date) => maps.every((map) => map.has(date))).sort();
+  return {
+    dates,
+    closes: maps.map((map) => dates.map((date) => map.get(date))),
+  };
+}
@@ -0,0 +1,233 @@
+import { parseBarDate } from '../prices.js';
+import { normalizeName, toNumber } from './numbers.js';
+
+/**
+ * Normalize financial statement payloads into a standard chart of accounts.
+ * Upstream statements come as lists of period objects (`[{ endDate, totalRevenue, ... }]`), as objects keyed by
+ * period end date, or as objects keyed by line item with a value per date. Line items are matched on their name
+ * with case, spaces and punctuation ignored, so "Total Revenue", "totalRevenue" and "total_revenue" are the same.
+ */
+
+/**
+ * Standard accounts and the upstream line item names they are read from, in order of preference
+ */
+export const ACCOUNTS = {
+  income: {
+    revenue: ['totalRevenue', 'revenue', 'revenues', 'operatingRevenue', 'netSales', 'sales'],
+    costOfRevenue: ['costOfRevenue', 'costOfGoodsSold', 'costOfSales', 'reconciledCostOfRevenue'],
+    grossProfit: ['grossProfit'],
+    researchAndDevelopment: ['researchDevelopment', 'researchAndDevelopment', 'researchAndDevelopmentExpense'],
+    sellingGeneralAdministrative: ['sellingGeneralAdministrative', 'sellingGeneralAndAdministration', 'sellingGeneralAndAdministrativeExpense'],
+    operatingIncome: ['operatingIncome', 'totalOperatingIncomeAsReported', 'operatingIncomeLoss'],
+    ebit: ['ebit'],
+    ebitda: ['ebitda', 'normalizedEbitda'],
+    interestExpense: ['interestExpense', 'interestExpenseNonOperating'],
+    pretaxIncome: ['incomeBeforeTax', 'pretaxIncome', 'incomeBeforeIncomeTaxes'],
+    incomeTax: ['incomeTaxExpense', 'taxProvision', 'incomeTax'],
+    netIncome: ['netIncome', 'netIncomeCommonStockholders', 'netIncomeApplicableToCommonShares', 'netIncomeFromContinuingOps'],
+    dilutedEps: ['dilutedEps', 'epsDiluted', 'earningsPerShareDiluted'],
+    dilutedShares: ['dilutedAverageShares', 'weightedAverageShsOutDil', 'weightedAverageDilutedShares'],
+  },
+  balance: {
+    cash: ['cash', 'cashAndCashEquivalents', 'cashAndEquivalents', 'totalCash'],
+    shortTermInvestments: ['shortTermInvestments', 'otherShortTermInvestments'],
+    receivables: ['netReceivables', 'accountsReceivable', 'receivables'],
+    inventory: ['inventory', 'inventories'],
+    currentAssets: ['totalCurrentAssets', 'currentAssets'],
+    totalAssets: ['totalAssets'],
+    currentLiabilities: ['totalCurrentLiabilities', 'currentLiabilities'],
+    shortTermDebt: ['shortLongTermDebt', 'currentDebt', 'shortTermDebt', 'currentDebtAndCapitalLeaseObligation'],
+    longTermDebt: ['longTermDebt', 'longTermDebtNoncurrent'],
+    totalDebt: ['totalDebt'],
+    totalLiabilities: ['totalLiab', 'totalLiabilities', 'totalLiabilitiesNetMinorityInterest'],
+    shareholdersEquity: ['totalStockholderEquity', 'stockholdersEquity', 'totalShareholderEquity', 'commonStockEquity', 'totalEquity'],
+  },
+  cashFlow: {
+    operatingCashFlow: ['totalCashFromOperatingActivities', 'operatingCashFlow', 'operatingCashflow', 'cashFlowFromContinuingOperatingActivities', 'netCashProvidedByOperatingActivities'],
+    capitalExpenditures: ['capitalExpenditures', 'capitalExpenditure', 'capex', 'purchaseOfPropertyPlantAndEquipment'],
+    freeCashFlow: ['freeCashFlow'],
+    depreciationAndAmortization: ['depreciation', 'depreciationAndAmortization', 'depreciationAmortizationDepletion'],
+    dividendsPaid: ['dividendsPaid', 'cashDividendsPaid', 'commonStockDividendPaid'],
+    shareRepurchases: ['repurchaseOfStock', 'repurchaseOfCapitalStock', 'commonStockRepurchased'],
+  },
+};
+
+const DATE_KEYS = ['endDate', 'date', 'fiscalDateEnding', 'periodEnd', 'periodEndDate', 'asOfDate', 'reportDate'];
+const PERIOD_KEYS = ['periodType', 'period', 'frequency', 'freq'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+// Quarterly statements are at most ~100 days apart; annual ones ~365
+const QUARTERLY_MAX_GAP_DAYS = 200;
+
+/**
+ * Period end date as 'YYYY-MM-DD' from an ISO string, epoch or `{ raw, fmt }` object
+ */
+function toDate(value) {
+  if (value && typeof value === 'object') {
+    return ISO_DATE.test(value.fmt) ? value.fmt.slice(0, 10) : toDate(value.raw);
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return value.slice(0, 10);
+  }
+  const date = parseBarDate(value);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Frequency named by a period field or container key ('annual', 'quarterly' or null)
+ */
+function frequencyOf(label) {
+  const text = String(label ?? '').toLowerCase();
+  if (/quarter|^q[1-4]?$|^3m$/.test(text)) return 'quarterly';
+  if (/annual|year|^fy$|^12m$/.test(text)) return 'annual';
+  return null;
+}
+
+/**
+ * Period entry from an object of line items: `{ endDate, frequency, items: Map<normalized name, number> }`
+ */
+function periodEntry(object, endDate, frequency) {
+  const items = new Map();
+  for (const [key, value] of Object.entries(object)) {
+    const number = toNumber(value);
+    if (number !== null && !items.has(normalizeName(key))) {
+      items.set(normalizeName(key), number);
+    }
+  }
+  const periodKey = PERIOD_KEYS.find((key) => object[key] !== undefined);
+  return { endDate, frequency: frequencyOf(periodKey && object[periodKey]) || frequency, items };
+}
+
+/**
+ * Collect the periods in a payload, walking into nested containers. `frequency` is inherited from the container
+ * name (e.g. `incomeStatementHistoryQuarterly`).
+ */
+function collectPeriods(value, frequency, periods) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        const dateKey = DATE_KEYS.find((key) => toDate(item[key]));
+        if (dateKey) {
+          periods.push(periodEntry(item, toDate(item[dateKey]), frequency));
+          continue;
+        }
+      }
+      collectPeriods(item, frequency, periods);
+    }
+    return periods;
+  }
+  if (!value || typeof value !== 'object') {
+    return periods;
+  }
+
+  const entries = Object.entries(value);
+  const isDateKey = ([key]) => ISO_DATE.test(key);
+  const isObject = ([, item]) => item && typeof item === 'object' && !Array.isArray(item);
+  // { '2024-09-30': { totalRevenue: ... }, ... }
+  if (entries.length > 0 && entries.every(isDateKey) && entries.every(isObject)) {
+    for (const [date, items] of entries) {
+      periods.push(periodEntry(items, date.slice(0, 10), frequency));
+    }
+    return periods;
+  }
+  // { totalRevenue: { '2024-09-30': ..., ... }, ... }
+  const isRow = ([, item]) => isObject([, item]) && Object.keys(item).length > 0
+    && Object.entries(item).every(isDateKey) && Object.values(item).some((cell) => toNumber(cell) !== null);
+  const rows = entries.filter(isRow);
+  if (rows.length > 0 && rows.length >= entries.filter(isObject).length) {
+    const byDate = new Map();
+    for (const [name, values] of rows) {
+      for (const [date, item] of Object.entries(values)) {
+        const period = byDate.get(date.slice(0, 10)) || {};
+        period[name] = item;
+        byDate.set(date.slice(0, 10), period);
+      }
+    }
+    for (const [date, items] of byDate) {
+      periods.push(periodEntry(items, date, frequency));
+    }
+    return periods;
+  }
+
+  for (const [key, item] of entries) {
+    collectPeriods(item, frequencyOf(key) || frequency, periods);
+  }
+  return periods;
+}
+
+/**
+ * Guess the frequency of periods that do not name one from the spacing of their end dates
+ */
+function inferFrequency(periods) {
+  const dates = [...new Set(periods.map(({ endDate }) => endDate))].sort();
+  const gaps = dates.slice(1).map((date, i) => (Date.parse(date) - Date.parse(dates[i])) / 86400000);
+  if (gaps.length === 0) {
+    return 'annual';
+  }
+  const median = gaps.sort((a, b) => a - b)[Math.floor(gaps.length / 2)];
+  return median < QUARTERLY_MAX_GAP_DAYS ? 'quarterly' : 'annual';
+}
+
+/**
+ * Value of one standard account from a period's line items
+ */
+function accountValue(items, aliases) {
+  for (const alias of aliases) {
+    const value = items.get(normalizeName(alias));
+    if (value !== undefined) return value;
+  }
+  return null;
+}
+
+/**
+ * Standard accounts of one statement as `[{ frequency, endDate, values: { account: number|null } }]`
+ */
+export function parseStatement(payload, statement) {
+  const periods = collectPeriods(payload, null, []);
+  const unlabelled = periods.filter(({ frequency }) => !frequency);
+  const fallback = inferFrequency(unlabelled);
+  return periods
+  .map(({ endDate, frequency, items }) => ({
+    frequency: frequency || fallback,
+    endDate,
+    values: Object.fromEntries(Object.entries(ACCOUNTS[statement]).map(([account, aliases]) => [account, accountValue(items, aliases)])),
+  }))
+  .filter(({ values }) => Object.values(values).some((value) => value !== null));
+}
+
+/**
+ * Merge statements into one period list per frequency, newest first:
+ * `[{ frequency, endDate, income: {...}, balance: {...}, cashFlow: {...} }]`
+ */
+export function mergeStatements(statements) {
+  const periods = new Map();
+  for (const [statement, list] of Object.entries(statements)) {
+    for (const { frequency, endDate, values } of list) {
+      const key = `${frequency}:${endDate}`;
+      if (!periods.has(key)) {
+        periods.set(key, {
+          frequency,
+          endDate,
+          ...Object.fromEntries(Object.keys(ACCOUNTS).map((name) => [name, Object.fromEntries(Object.keys(ACCOUNTS[name]).map((account) => [account, null]))])),
+        });
+      }
+      const period = periods.get(key)[statement];
+      for (const [account, value] of Object.entries(values)) {
+        period[account] ??= value;
+      }
+    }
+  }
+
+  for (const period of periods.values()) {
+    const { income, balance, cashFlow } = period;
+    income.grossProfit ??= income.revenue !== null && income.costOfRevenue !== null ? income.revenue - income.costOfRevenue : null;
+    income.ebit ??= income.operatingIncome;
+    income.ebitda ??= income.ebit !== null && cashFlow.depreciationAndAmortization !== null ? income.ebit + cashFlow.depreciationAndAmortization : null;
+    balance.totalDebt ??= balance.shortTermDebt !== null || balance.longTermDebt !== null ? (balance.shortTermDebt || 0) + (balance.longTermDebt || 0) : null;
+    // Capital expenditures are reported as negative cash flows by most sources
+    cashFlow.freeCashFlow ??= cashFlow.operatingCashFlow !== null && cashFlow.capitalExpenditures !== null
+      ? cashFlow.operatingCashFlow - Math.abs(cashFlow.capitalExpenditures) : null;
+  }
+
+  return [...periods.values()].sort((a, b) => (a.frequency === b.frequency ? b.endDate.localeCompare(a.endDate) : a.frequency.localeCompare(b.frequency)));
+}
@@ -0,0 +1,233 @@
+import { config } from './config.js';
+import { keyFingerprint } from './auth.js';
+import { createBackend } from './backends.js';
+import { createCache, parseCacheControl } from './cache.js';
+import {
+  AxionError,
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  endpointPath,
+  errorFromResponse,
+  redact,
+  registerSecret,
+} from './errors.js';
+import { createTokenBucket, unlimited } from './rateLimiter.js';
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_RETRY_DELAY_MS = 30000;
+
+let backend = createBackend(config);
+
+registerSecret(config.apiKey);
+
+const limiter = config.rateLimit > 0
+  ? createTokenBucket({
+    capacity: config.rateLimitBurst || config.rateLimit * 2,
+    refillPerSecond: config.rateLimit,
+  })
+  : unlimited;
+
+export const responseCache = createCache({
+  maxEntries: config.cacheMaxEntries,
+  dir: config.cacheDir,
+  ttls: config.cacheTtls,
+});
+
+/**
+ * Swap the HTTP backend (e.g. a fixture replay backend for offline tests)
+ */
+export function setApiBackend(nextBackend) {
+  backend = nextBackend;
+}
+
+/**
+ * Convert a Retry-After header (seconds or HTTP date) to milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: Retry-After when given, otherwise exponential backoff with jitter
+ */
+function retryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, MAX_RETRY_DELAY_MS);
+  }
+  const backoff = config.retryBaseDelayMs * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.25, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Wait for the given time, giving up early if the caller aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Perform one HTTP attempt and read the body, aborting if it takes longer than timeoutMs
+ */
+async function attemptRequest(url, init, timeoutMs, endpoint) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`Request to ${endpointPath(endpoint)} timed out after ${timeoutMs}ms`, {
+      endpoint: endpointPath(endpoint),
+    }));
+  }, timeoutMs);
+  const onAbort = () => controller.abort(init.signal.reason);
+  init.signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await backend(url, { ...init, signal: controller.signal });
+    const body = await response.text();
+    return { response, body };
+  } catch (error) {
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+    init.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Send a request, retrying with exponential backoff on 429/5xx responses and network failures.
+ * Resolves with the final response and its body text.
+ */
+async function fetchWithRetries(url, init, { timeoutMs, maxRetries, endpoint }) {
+  for (let attempt = 0; ; attempt++) {
+    await limiter.take();
+
+    let outcome;
+    try {
+      outcome = await attemptRequest(url, init, timeoutMs, endpoint);
+    } catch (error) {
+      const networkFailure = error instanceof TypeError;
+      if (!networkFailure || attempt >= maxRetries) {
+        throw error;
+      }
+      await sleep(retryDelay(attempt, null), init.signal);
+      continue;
+    }
+
+    const { response } = outcome;
+    if (RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries) {
+      await sleep(retryDelay(attempt, parseRetryAfter(response.headers.get('Retry-After'))), init.signal);
+      continue;
+    }
+    return outcome;
+  }
+}
+
+/**
+ * Helper function to make API requests.
+ * `apiKey` overrides the server's API_KEY (per-client keys in hosted mode); cache entries are scoped to the key.
+ * GET responses are served from the response cache while fresh and revalidated with their ETag once stale.
+ * Requests wait for a rate limiter token, time out after `timeoutMs` and are retried on transient failures.
+ * Failures are thrown as AxionError subclasses (see errors.js) whose messages never contain the key or query.
+ */
+export async function makeApiRequest(endpoint, options = {}) {
+  const {
+    timeoutMs = config.timeoutMs,
+    maxRetries = config.maxRetries,
+    cache = true,
+    apiKey = config.apiKey,
+    ...init
+  } = options;
+  const url = `${config.apiBaseUrl}${endpoint}`;
+  const cacheable = cache && responseCache.enabled && (init.method || 'GET').toUpperCase() === 'GET';
+  const scope = keyFingerprint(apiKey);
+  const cacheKey = `${scope}:${endpoint}`;
+
+  const cached = cacheable ? await responseCache.get(cacheKey) : null;
+  if (cached?.fresh) {
+    return cached.value;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...config.headers,
+    ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+    ...(cached?.etag && { 'If-None-Match': cached.etag }),
+    ...init.headers,
+  };
+
+  try {
+    const { response, body } = await fetchWithRetries(url, { ...init, headers }, { timeoutMs, maxRetries, endpoint });
+    const cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+
+    if (response.status === 304 && cached) {
+      await responseCache.refresh(cacheKey, responseCache.ttlFor(endpoint, cacheControl));
+      return cached.value;
+    }
+
+    if (!response.ok) {
+      throw errorFromResponse(response.status, body, {
+        endpoint,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+      });
+    }
+
+    let result;
+    try {
+      result = body ? JSON.parse(body) : null;
+    } catch {
+      throw new ApiError(`API response from ${endpointPath(endpoint)} is not valid JSON`, {
+        status: response.status,
+        endpoint: endpointPath(endpoint),
+      });
+    }
+    if (cacheable && !cacheControl.noStore) {
+      await responseCache.set(cacheKey, result, {
+        endpoint,
+        scope,
+        ttlSeconds: responseCache.ttlFor(endpoint, cacheControl),
+        etag: response.headers.get('ETag'),
+      });
+    }
+    return result;
+  } catch (error) {
+    if (error instanceof AxionError) {
+      throw error;
+    }
+    const reason = error.cause?.message || error.message;
+    throw new NetworkError(`Request to ${endpointPath(endpoint)} failed: ${redact(reason)}`, {
+      endpoint: endpointPath(endpoint),
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Helper function to build query strings from object
+ */
+export function buildQueryString(params) {
+  const filtered = Object.entries(params || {})
+  .filter(([_, value]) => value !== undefined && value !== null && value !== '')
+  .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+  return filtered.length > 0 ? `?${filtered.join('&')}` : '';
+}
@@ -0,0 +1,105 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { AuthenticationError, registerSecret } from './errors.js';
+
+/**
+ * Per-client authentication for the HTTP transports.
+ *
+ * Modes:
+ *   - `passthrough` (default): callers send their own Axion key as `X-Axion-Api-Key` or `Authorization: Bearer`,
+ *     or a server-issued token from AUTH_TOKENS_FILE that maps to a key
+ *   - `tokens`: only server-issued tokens are accepted
+ *   - `none`: no client credentials; every session uses the server's API_KEY (trusted networks only)
+ */
+
+export const AUTH_MODES = ['passthrough', 'tokens', 'none'];
+
+/**
+ * Short, non-reversible identifier for a key, safe to log and to use in cache keys
+ */
+export function keyFingerprint(apiKey) {
+  return apiKey ? createHash('sha256').update(apiKey).digest('hex').slice(0, 12) : 'anonymous';
+}
+
+/**
+ * Read server-issued tokens: `{ "<token>": "<axion key>" }` or `{ "<token>": { "apiKey": "...", "name": "alice" } }`
+ */
+export function loadAuthTokens(path) {
+  if (!path) {
+    return new Map();
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read auth tokens file ${path}: ${error.message}`);
+  }
+
+  const tokens = new Map();
+  for (const [token, entry] of Object.entries(parsed.tokens || parsed)) {
+    const apiKey = typeof entry === 'string' ? entry : entry?.apiKey;
+    if (!apiKey) {
+      throw new Error(`Auth token entry "${keyFingerprint(token)}" in ${path} has no apiKey`);
+    }
+    registerSecret(token);
+    registerSecret(apiKey);
+    tokens.set(token, { apiKey, name: (typeof entry === 'object' && entry.name) || `token:${keyFingerprint(token)}` });
+  }
+  return tokens;
+}
+
+/**
+ * Constant-time lookup of a server-issued token
+ */
+function findToken(tokens, candidate) {
+  const candidateHash = createHash('sha256').update(candidate).digest();
+  for (const [token, entry] of tokens) {
+    if (timingSafeEqual(candidateHash, createHash('sha256').update(token).digest())) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the function that resolves an HTTP request to the Axion key its session should use.
+ * The returned `authenticate(req)` resolves with `{ apiKey, principal }` or throws AuthenticationError.
+ * Client keys are registered for redaction by the HTTP server while their session is open, not here, since
+ * this runs on every request.
+ */
+export function createAuthenticator({ mode = 'passthrough', tokens = new Map(), serverApiKey }) {
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown auth mode "${mode}" (expected one of: ${AUTH_MODES.join(', ')})`);
+  }
+  if (mode === 'tokens' && tokens.size === 0) {
+    throw new Error('AUTH_MODE=tokens requires AUTH_TOKENS_FILE with at least one token');
+  }
+
+  return function authenticate(req) {
+    if (mode === 'none') {
+      return { apiKey: serverApiKey, principal: 'server' };
+    }
+
+    const headerKey = req.headers['x-axion-api-key'];
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]?.trim();
+
+    if (bearer) {
+      const token = findToken(tokens, bearer);
+      if (token) {
+        return { apiKey: token.apiKey, principal: token.name };
+      }
+    }
+
+    const passthroughKey = mode === 'passthrough' ? (headerKey || bearer) : null;
+    if (passthroughKey) {
+      return { apiKey: passthroughKey, principal: `key:${keyFingerprint(passthroughKey)}` };
+    }
+
+    throw new AuthenticationError(
+      mode === 'tokens'
+        ? 'A valid server-issued token is required (Authorization: Bearer <token>)'
+        : 'An Axion API key (X-Axion-Api-Key or Authorization: Bearer) or server-issued token is required',
+      { status: 401 }
+    );
+  };
+}
@@ -0,0 +1,95 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve, sep } from 'node:path';
+
+/**
+ * HTTP backends used by makeApiRequest.
+ * A backend is a function with the same signature as fetch(url, init) that resolves to a Response.
+ */
+
+/**
+ * Default backend: the real network
+ */
+export const fetchBackend = (url, init) => fetch(url, init);
+
+/**
+ * Map a request URL to a fixture file path inside the fixtures directory.
+ * `stocks/tickers?exchange=NASDAQ` maps to `stocks/tickers__exchange=NASDAQ.json`.
+ */
+export function fixturePath(fixturesDir, baseUrl, url) {
+  const root = resolve(fixturesDir);
+  const { pathname, searchParams } = new URL(url);
+  const basePath = new URL(baseUrl).pathname;
+  const relative = decodeURIComponent(pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname)
+  .replace(/[^\w.\-/^=]/g, '_') || 'index';
+
+  const query = [...searchParams.entries()]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([key, value]) => `${key}=${value}`)
+  .join('&')
+  .replace(/[^\w.\-=&,]/g, '_');
+
+  const file = resolve(root, `${relative}${query ? `__${query}` : ''}.json`);
+  if (!file.startsWith(root + sep)) {
+    throw new Error(`Fixture path escapes fixtures directory: ${relative}`);
+  }
+  return file;
+}
+
+/**
+ * Build a JSON Response like the one the API would return
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Replay backend: serves recorded JSON responses from a directory, 404 when no fixture exists
+ */
+export function createFixtureBackend(fixturesDir, baseUrl) {
+  return async (url) => {
+    const file = fixturePath(fixturesDir, baseUrl, url);
+    try {
+      return jsonResponse(JSON.parse(await readFile(file, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return jsonResponse({ error: `No fixture recorded for ${file}` }, 404);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Record backend: passes requests through to another backend and saves successful JSON responses as fixtures
+ */
+export function createRecordingBackend(fixturesDir, baseUrl, backend = fetchBackend) {
+  return async (url, init) => {
+    const response = await backend(url, init);
+    if (response.ok) {
+      const file = fixturePath(fixturesDir, baseUrl, url);
+      const body = await response.clone().json();
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, `${JSON.stringify(body, null, 2)}\n`);
+    }
+    return response;
+  };
+}
+
+/**
+ * Pick the backend named in the configuration
+ */
+export function createBackend({ backend, fixturesDir, apiBaseUrl }) {
+  switch (backend) {
+    case 'fetch':
+      return fetchBackend;
+    case 'fixtures':
+      return createFixtureBackend(fixturesDir, apiBaseUrl);
+    case 'record':
+      return createRecordingBackend(fixturesDir, apiBaseUrl);
+    default:
+      throw new Error(`Unknown API backend: ${backend}`);
+  }
+}
@@ -0,0 +1,211 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Default TTLs in seconds for each endpoint family
+ */
+export const CACHE_TTLS = {
+  tickers: 24 * 60 * 60,
+  fundamentals: 6 * 60 * 60,
+  econ: 60 * 60,
+  prices: 15 * 60,
+  calendar: 15 * 60,
+  news: 5 * 60,
+  quotes: 15,
+  default: 60,
+};
+
+const ENDPOINT_FAMILIES = [
+  ['tickers', /^(stocks|crypto|forex|future|indices)\/tickers\b/],
+  ['prices', /^(stocks|crypto|forex|future|indices)\/[^/?]+\/prices\b/],
+  ['quotes', /^(stocks|crypto|forex|future|indices)\/[^/?]+(\?|$)/],
+  ['fundamentals', /^(profiles|etf|esg|credit|supply-chain)\//],
+  ['calendar', /^econ\/calendar\b/],
+  ['econ', /^econ\//],
+  ['news', /^(news|sentiment)\b/],
+];
+
+/**
+ * Endpoint family used to pick a TTL
+ */
+export function endpointFamily(endpoint) {
+  const match = ENDPOINT_FAMILIES.find(([, pattern]) => pattern.test(endpoint));
+  return match ? match[0] : 'default';
+}
+
+/**
+ * Read max-age / no-store / no-cache from a Cache-Control header
+ */
+export function parseCacheControl(header) {
+  const directives = {};
+  for (const part of (header || '').split(',')) {
+    const [name, value] = part.trim().toLowerCase().split('=');
+    if (name) {
+      directives[name] = value === undefined ? true : value;
+    }
+  }
+  return {
+    noStore: Boolean(directives['no-store']),
+    noCache: Boolean(directives['no-cache']),
+    maxAge: directives['max-age'] !== undefined ? Number(directives['max-age']) : null,
+  };
+}
+
+/**
+ * LRU response cache kept in memory, optionally backed by one JSON file per entry on disk.
+ * Entries past their TTL are kept (until evicted) when they carry an ETag so they can be revalidated.
+ */
+export function createCache({ maxEntries = 500, dir = null, ttls = {} } = {}) {
+  const entries = new Map();
+  const familyTtls = { ...CACHE_TTLS, ...ttls };
+  const stats = { hits: 0, misses: 0, stale: 0, revalidated: 0, evictions: 0, writes: 0 };
+
+  function diskPath(key) {
+    return join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  function remember(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  async function readDisk(key) {
+    if (!dir) {
+      return null;
+    }
+    try {
+      const entry = JSON.parse(await readFile(diskPath(key), 'utf8'));
+      return entry.key === key ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    enabled: maxEntries > 0,
+
+    /**
+     * TTL in seconds for an endpoint, optionally overridden by upstream Cache-Control
+     */
+    ttlFor(endpoint, cacheControl = {}) {
+      if (cacheControl.noCache) {
+        return 0;
+      }
+      if (cacheControl.maxAge !== null && cacheControl.maxAge !== undefined && !Number.isNaN(cacheControl.maxAge)) {
+        return cacheControl.maxAge;
+      }
+      return familyTtls[endpointFamily(endpoint)] ?? familyTtls.default;
+    },
+
+    /**
+     * Look up an entry. Returns { value, etag, fresh } or null.
+     */
+    async get(key) {
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = await readDisk(key);
+        if (entry) {
+          remember(key, entry);
+        }
+      } else {
+        remember(key, entry);
+      }
+
+      if (!entry) {
+        stats.misses++;
+        return null;
+      }
+      const fresh = entry.expiresAt > Date.now();
+      if (fresh) {
+        stats.hits++;
+      } else {
+        stats.stale++;
+      }
+      return { value: entry.value, etag: entry.etag, fresh };
+    },
+
+    async set(key, value, { endpoint = key, scope = null, ttlSeconds, etag = null }) {
+      if (maxEntries <= 0 || (ttlSeconds <= 0 && !etag)) {
+        return;
+      }
+      const entry = { key, endpoint, scope, value, etag, storedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 };
+      remember(key, entry);
+      stats.writes++;
+      if (dir) {
+        await mkdir(dir, { recursive: true });
+        await writeFile(diskPath(key), JSON.stringify(entry));
+      }
+    },
+
+    /**
+     * Extend a stale entry after the upstream answered 304 Not Modified
+     */
+    async refresh(key, ttlSeconds) {
+      const entry = entries.get(key);
+      if (entry) {
+        stats.revalidated++;
+        await this.set(key, entry.value, { endpoint: entry.endpoint, scope: entry.scope, ttlSeconds, etag: entry.etag });
+      }
+    },
+
+    /**
+     * Remove every entry, or only those whose endpoint starts with `prefix`.
+     * When `scope` is given only entries stored under that scope (API key fingerprint) are removed, in memory and
+     * on disk. Resolves with the number of entries removed.
+     */
+    async clear(prefix, scope) {
+      const matches = (entry) => (!prefix || (entry.endpoint || '').startsWith(prefix))
+        && (!scope || entry.scope === scope);
+      const removed = new Set();
+      for (const [key, entry] of [...entries]) {
+        if (matches(entry)) {
+          entries.delete(key);
+          removed.add(key);
+        }
+      }
+      if (dir) {
+        const files = await readdir(dir).catch(() => []);
+        for (const file of files.filter((name) => name.endsWith('.json'))) {
+          const path = join(dir, file);
+          // The disk cache is shared by every key, so each file is checked against the prefix and scope.
+          // Unreadable files cannot be attributed to a scope and only go with a full clear.
+          let entry;
+          try {
+            entry = JSON.parse(await readFile(path, 'utf8'));
+          } catch {
+            entry = null;
+          }
+          if (entry ? !matches(entry) : prefix || scope) {
+            continue;
+          }
+          await rm(path, { force: true });
+          if (entry?.key) removed.add(entry.key);
+        }
+      }
+      return removed.size;
+    },
+
+    stats() {
+      const families = {};
+      for (const entry of entries.values()) {
+        const family = endpointFamily(entry.endpoint);
+        families[family] = (families[family] || 0) + 1;
+      }
+      const lookups = stats.hits + stats.misses + stats.stale;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+        entries: entries.size,
+        maxEntries,
+        diskCache: dir || null,
+        entriesByFamily: families,
+        ttls: familyTtls,
+      };
+    },
+  };
+}
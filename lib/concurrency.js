@@ -0,0 +1,24 @@
+/**
+ * Run `fn(item, index)` over items with at most `limit` calls in flight.
+ * Resolves with one settled result per item, in input order: `{ status: 'fulfilled', value }` or
+ * `{ status: 'rejected', reason }`, like Promise.allSettled.
+ */
+export async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit || items.length, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,113 @@
+import { readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+const DEFAULT_API_BASE_URL = 'https://api.axionquant.com/';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+const DEFAULT_RATE_LIMIT = 10;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+const DEFAULT_MAX_OUTPUT_CHARS = 50000;
+const DEFAULT_FANOUT_CONCURRENCY = 4;
+const DEFAULT_SYMBOL_INDEX_TTL = 24 * 60 * 60;
+const DEFAULT_PORTFOLIO_FILE = join(homedir(), '.axion-mcp', 'portfolios.json');
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Read an optional JSON config file (path from AXION_CONFIG)
+ */
+function readConfigFile(path) {
+  if (!path) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(resolve(path), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read config file ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse extra headers given as a JSON object or "Name: value; Name2: value2"
+ */
+function parseHeaders(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return Object.fromEntries(
+      value.split(';')
+      .map((pair) => pair.split(':'))
+      .filter(([name, ...rest]) => name.trim() && rest.length > 0)
+      .map(([name, ...rest]) => [name.trim(), rest.join(':').trim()])
+    );
+  }
+}
+
+/**
+ * Parse a setting given as JSON, naming the setting when it is malformed
+ */
+function jsonSetting(name, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: expected JSON (${error.message})`);
+  }
+}
+
+/**
+ * Pick the first value that is set, parsed as a number
+ */
+function numberSetting(fallback, ...values) {
+  const value = values.find((candidate) => candidate !== undefined && candidate !== null && candidate !== '');
+  const parsed = Number(value);
+  return value === undefined || Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Make sure the base URL ends with a slash so endpoints can be appended
+ */
+function normalizeBaseUrl(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Build the server configuration. Environment variables take precedence over the config file.
+ */
+export function loadConfig(env = process.env) {
+  const file = readConfigFile(env.AXION_CONFIG);
+
+  return {
+    apiBaseUrl: normalizeBaseUrl(env.API_BASE_URL || file.apiBaseUrl || DEFAULT_API_BASE_URL),
+    apiKey: env.API_KEY || file.apiKey,
+    headers: { ...parseHeaders(file.headers), ...parseHeaders(env.API_HEADERS) },
+    timeoutMs: numberSetting(DEFAULT_TIMEOUT_MS, env.API_TIMEOUT_MS, file.timeoutMs),
+    maxRetries: numberSetting(DEFAULT_MAX_RETRIES, env.API_MAX_RETRIES, file.maxRetries),
+    retryBaseDelayMs: numberSetting(DEFAULT_RETRY_BASE_DELAY_MS, env.API_RETRY_BASE_DELAY_MS, file.retryBaseDelayMs),
+    rateLimit: numberSetting(DEFAULT_RATE_LIMIT, env.API_RATE_LIMIT, file.rateLimit),
+    rateLimitBurst: numberSetting(null, env.API_RATE_LIMIT_BURST, file.rateLimitBurst),
+    cacheMaxEntries: numberSetting(DEFAULT_CACHE_MAX_ENTRIES, env.CACHE_MAX_ENTRIES, file.cacheMaxEntries),
+    cacheDir: env.CACHE_DIR || file.cacheDir || null,
+    cacheTtls: env.CACHE_TTLS ? jsonSetting('CACHE_TTLS', env.CACHE_TTLS) : file.cacheTtls || {},
+    fanoutConcurrency: numberSetting(DEFAULT_FANOUT_CONCURRENCY, env.FANOUT_CONCURRENCY, file.fanoutConcurrency),
+    symbolIndexTtl: numberSetting(DEFAULT_SYMBOL_INDEX_TTL, env.SYMBOL_INDEX_TTL, file.symbolIndexTtl),
+    portfolioFile: resolve(env.PORTFOLIO_FILE || file.portfolioFile || DEFAULT_PORTFOLIO_FILE),
+    maxOutputChars: numberSetting(DEFAULT_MAX_OUTPUT_CHARS, env.MAX_OUTPUT_CHARS, file.maxOutputChars),
+    transport: env.MCP_TRANSPORT || file.transport || 'stdio',
+    port: numberSetting(DEFAULT_PORT, env.PORT, file.port),
+    host: env.HOST || file.host || DEFAULT_HOST,
+    authMode: env.AUTH_MODE || file.authMode || 'passthrough',
+    authTokensFile: env.AUTH_TOKENS_FILE || file.authTokensFile || null,
+    backend: env.API_BACKEND || file.backend || 'fetch',
+    fixturesDir: env.API_FIXTURES_DIR || file.fixturesDir || 'fixtures',
+  };
+}
+
+export const config = loadConfig();
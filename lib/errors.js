@@ -0,0 +1,218 @@
+/**
+ * Error taxonomy for tool calls.
+ * Every error carries a stable code, the upstream HTTP status (if any), a retryable flag and an optional hint
+ * so the model can tell a bad symbol from an auth failure, a rate limit or an outage.
+ */
+export class AxionError extends Error {
+  constructor(message, { code = 'INTERNAL_ERROR', status = null, retryable = false, hint = null, endpoint = null, details = null, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.hint = hint;
+    this.endpoint = endpoint;
+    this.details = details;
+  }
+}
+
+export class InvalidArgumentError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_ARGUMENT', ...options });
+  }
+}
+
+export class UnknownToolError extends AxionError {
+  constructor(name) {
+    super(`Unknown tool: ${name}`, { code: 'UNKNOWN_TOOL', hint: 'Call tools/list to see the available tools' });
+  }
+}
+
+export class AuthenticationError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNAUTHORIZED', hint: 'Check that the Axion API key (API_KEY, or the key sent by the client) is valid', ...options });
+  }
+}
+
+export class PermissionError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'FORBIDDEN', hint: 'The API key is not entitled to this endpoint', ...options });
+  }
+}
+
+export class NotFoundError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+export class RateLimitError extends AxionError {
+  constructor(message, { retryAfterSeconds = null, ...options } = {}) {
+    super(message, {
+      code: 'RATE_LIMITED',
+      retryable: true,
+      hint: retryAfterSeconds !== null
+        ? `Wait ${retryAfterSeconds}s before retrying and avoid calling many tools at once`
+        : 'Wait before retrying and avoid calling many tools at once',
+      ...options,
+    });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export class UpstreamError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', retryable: true, hint: 'The Axion API is having problems; retry later', ...options });
+  }
+}
+
+export class ApiError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'API_ERROR', ...options });
+  }
+}
+
+export class TimeoutError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'TIMEOUT',
+      retryable: true,
+      hint: 'Retry, or narrow the request (e.g. from/to/limit on price history)',
+      ...options,
+    });
+  }
+}
+
+export class NetworkError extends AxionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NETWORK_ERROR', retryable: true, hint: 'Check API_BASE_URL and network connectivity', ...options });
+  }
+}
+
+/**
+ * Hints for 404s, by tool name prefix
+ */
+const NOT_FOUND_HINTS = [
+  ['stocks_', 'Use symbol_search or stocks_tickers to find a valid symbol'],
+  ['crypto_', 'Use symbol_search or crypto_tickers to find a valid symbol'],
+  ['forex_', 'Use symbol_search or forex_tickers to find a valid pair'],
+  ['future_', 'Use symbol_search or future_tickers to find a valid contract'],
+  ['indices_', 'Use symbol_search or indices_tickers to find a valid index'],
+  ['etf_exposure', 'Use symbol_search or stocks_tickers to find a valid symbol'],
+  ['etf_', 'Check the ETF ticker symbol (e.g. SPY)'],
+  ['credit_ratings', 'Use credit_search to find the organization ID'],
+  ['econ_dataset', 'Use econ_search to find a dataset ID'],
+  ['', 'Use symbol_search or stocks_tickers to find a valid symbol'],
+];
+
+const SECRET_PATTERNS = [
+  /(Bearer\s+)[^\s"',]+/gi,
+  /((?:api[_-]?key|token|access_token)=)[^&\s"',]+/gi,
+];
+
+// Secret -> number of registrations, so a key shared by several sessions stays redacted until the last one ends
+const secrets = new Map();
+
+/**
+ * Register values (API keys, tokens) that must never appear in error text
+ */
+export function registerSecret(value) {
+  if (value) {
+    secrets.set(value, (secrets.get(value) || 0) + 1);
+  }
+}
+
+/**
+ * Undo one registerSecret, e.g. when the session that brought a client key closes
+ */
+export function releaseSecret(value) {
+  const count = secrets.get(value);
+  if (count > 1) {
+    secrets.set(value, count - 1);
+  } else {
+    secrets.delete(value);
+  }
+}
+
+/**
+ * Remove registered secrets, credential-looking fragments and URL query strings from text
+ */
+export function redact(text) {
+  let result = String(text ?? '');
+  for (const secret of secrets.keys()) {
+    result = result.split(secret).join('[REDACTED]');
+  }
+  for (const pattern of SECRET_PATTERNS) {
+    result = result.replace(pattern, '$1[REDACTED]');
+  }
+  return result.replace(/(https?:\/\/[^\s?"']+)\?[^\s"']*/gi, '$1');
+}
+
+/**
+ * Endpoint path without its query string, safe to show to the model
+ */
+export function endpointPath(endpoint) {
+  return String(endpoint).split('?')[0];
+}
+
+/**
+ * Pull a readable message out of an upstream error body
+ */
+function upstreamMessage(body) {
+  try {
+    const parsed = JSON.parse(body);
+    const message = parsed?.error?.message || parsed?.error || parsed?.message || parsed?.detail;
+    if (typeof message === 'string') {
+      return message;
+    }
+  } catch {
+    // Not JSON, fall through to the raw text
+  }
+  return String(body || '').slice(0, 300);
+}
+
+/**
+ * Map a non-2xx API response to a typed error
+ */
+export function errorFromResponse(status, body, { endpoint, retryAfter = null } = {}) {
+  const path = endpointPath(endpoint);
+  const detail = redact(upstreamMessage(body)).trim();
+  const message = `API request to ${path} failed with ${status}${detail ? `: ${detail}` : ''}`;
+  const options = { status, endpoint: path };
+
+  if (status === 401) return new AuthenticationError(message, options);
+  if (status === 403) return new PermissionError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 408) return new TimeoutError(message, options);
+  if (status === 429) {
+    return new RateLimitError(message, {
+      ...options,
+      retryAfterSeconds: retryAfter !== null ? Math.ceil(retryAfter / 1000) : null,
+    });
+  }
+  if (status >= 500) return new UpstreamError(message, options);
+  return new ApiError(message, options);
+}
+
+/**
+ * Structured error payload returned to the model
+ */
+export function toErrorPayload(error, toolName = '') {
+  const known = error instanceof AxionError;
+  let hint = known ? error.hint : null;
+  if (known && error.code === 'NOT_FOUND' && !hint) {
+    hint = NOT_FOUND_HINTS.find(([prefix]) => toolName.startsWith(prefix))[1];
+  }
+
+  return {
+    error: {
+      code: known ? error.code : 'INTERNAL_ERROR',
+      status: known ? error.status : null,
+      retryable: known ? error.retryable : false,
+      message: redact(error.message),
+      ...(hint && { hint }),
+      ...(known && error.endpoint && { endpoint: error.endpoint }),
+      ...(known && error.details && { details: error.details }),
+    },
+  };
+}
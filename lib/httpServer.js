@@ -0,0 +1,210 @@
+import { randomUUID } from 'node:crypto';
+import { createServer as createHttpServer } from 'node:http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { keyFingerprint } from './auth.js';
+import { AuthenticationError, redact, registerSecret, releaseSecret } from './errors.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+/**
+ * Helper function to send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * JSON-RPC error response for requests that never reach a transport
+ */
+function sendJsonRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+/**
+ * 401 for requests without usable credentials
+ */
+function sendUnauthorized(res, message) {
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendJsonRpcError(res, 401, message);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Serve MCP over HTTP.
+ *   - `http`: Streamable HTTP on /mcp (POST, GET for the notification stream, DELETE to end a session)
+ *   - `sse`: legacy HTTP+SSE, GET /sse opens the stream and POST /messages?sessionId=... carries requests
+ * Both expose GET /health. Every session gets its own MCP server from `createServer({ apiKey })`, where the key
+ * comes from `authenticate(req)`; later requests on the session must present the same credentials.
+ * Resolves once listening with a `close()` that shuts sessions down gracefully.
+ */
+export async function startHttpServer({ createServer, authenticate, transport, port, host, name, version }) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  /**
+   * Check that a request on an existing session carries the credentials the session was opened with
+   */
+  function authorizeSession(req, res, session) {
+    const { apiKey } = authenticate(req);
+    if (keyFingerprint(apiKey) !== session.fingerprint) {
+      sendJsonRpcError(res, 403, 'Credentials do not match this session');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Connect a fresh MCP server to a transport and track it until it closes
+   */
+  async function openSession(sessionTransport, sessionId, { apiKey, principal }) {
+    const server = createServer({ apiKey });
+    sessions.set(sessionId, { transport: sessionTransport, server, fingerprint: keyFingerprint(apiKey), principal });
+    registerSecret(apiKey);
+    console.error(`Session ${sessionId} opened for ${principal}`);
+    sessionTransport.onclose = () => {
+      if (sessions.delete(sessionId)) {
+        releaseSecret(apiKey);
+      }
+    };
+    await server.connect(sessionTransport);
+  }
+
+  async function handleStreamableHttp(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const existing = sessionId && sessions.get(sessionId);
+
+    if (existing) {
+      if (authorizeSession(req, res, existing)) {
+        await existing.transport.handleRequest(req, res, body);
+      }
+      return;
+    }
+    if (sessionId) {
+      sendJsonRpcError(res, 404, 'Session not found');
+      return;
+    }
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, 'Bad Request: no valid session ID provided');
+      return;
+    }
+
+    const { apiKey, principal } = authenticate(req);
+    const server = createServer({ apiKey });
+    const sessionTransport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport: sessionTransport, server, fingerprint: keyFingerprint(apiKey), principal });
+        registerSecret(apiKey);
+        console.error(`Session ${id} opened for ${principal}`);
+      },
+    });
+    sessionTransport.onclose = () => {
+      if (sessions.delete(sessionTransport.sessionId)) {
+        releaseSecret(apiKey);
+      }
+    };
+    await server.connect(sessionTransport);
+    await sessionTransport.handleRequest(req, res, body);
+  }
+
+  async function handleLegacySse(req, res, url) {
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const credentials = authenticate(req);
+      const sessionTransport = new SSEServerTransport('/messages', res);
+      await openSession(sessionTransport, sessionTransport.sessionId, credentials);
+      return;
+    }
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const session = sessions.get(url.searchParams.get('sessionId'));
+      if (!session) {
+        sendJsonRpcError(res, 404, 'Session not found');
+        return;
+      }
+      if (authorizeSession(req, res, session)) {
+        await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+      }
+      return;
+    }
+    sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        sendJson(res, 200, {
+          status: 'ok',
+          name,
+          version,
+          transport,
+          sessions: sessions.size,
+          uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        });
+        return;
+      }
+      if (transport === 'http' && url.pathname === '/mcp') {
+        await handleStreamableHttp(req, res);
+        return;
+      }
+      if (transport === 'sse') {
+        await handleLegacySse(req, res, url);
+        return;
+      }
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        sendUnauthorized(res, error.message);
+        return;
+      }
+      console.error('HTTP request error:', redact(error.message));
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? 'Parse error' : 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  return {
+    address: httpServer.address(),
+
+    /**
+     * Stop accepting connections, close every session and wait for in-flight requests (up to 10s)
+     */
+    async close() {
+      const closed = new Promise((resolve) => httpServer.close(resolve));
+      await Promise.allSettled([...sessions.values()].map(({ transport: sessionTransport }) => sessionTransport.close()));
+      sessions.clear();
+      httpServer.closeIdleConnections?.();
+      const timeout = new Promise((resolve) => setTimeout(() => {
+        httpServer.closeAllConnections?.();
+        resolve();
+      }, SHUTDOWN_TIMEOUT_MS).unref());
+      await Promise.race([closed, timeout]);
+    },
+  };
+}
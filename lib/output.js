@@ -0,0 +1,337 @@
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * Output shaping for tool results: field projection, row paging, output formats and a size budget.
+ */
+
+export const OUTPUT_FORMATS = ['json', 'compact-json', 'csv', 'markdown-table'];
+
+/**
+ * Optional arguments added to every tool's inputSchema (unless the tool declares a property of the same name)
+ */
+export const OUTPUT_PROPERTIES = {
+  fields: {
+    type: "array",
+    description: "Only return these fields, as dot paths ('data.close') or JSONPath ('$.data[*].close'); arrays are traversed automatically",
+    items: {
+      type: "string"
+    },
+    minItems: 1
+  },
+  limit: {
+    type: "integer",
+    description: "Maximum number of rows to return from the result's main array",
+    minimum: 1
+  },
+  offset: {
+    type: "integer",
+    description: "Number of rows to skip in the result's main array (for paging)",
+    minimum: 0
+  },
+  format: {
+    type: "string",
+    description: "Output format: 'json' (default), 'compact-json', 'csv' or 'markdown-table'",
+    enum: OUTPUT_FORMATS
+  }
+};
+
+/**
+ * Split a dot path or JSONPath into tokens: { key }, { index } or { wildcard }
+ */
+export function parseFieldPath(path) {
+  const source = String(path).trim();
+  if (source.includes('..')) {
+    throw new InvalidArgumentError(`fields: recursive descent is not supported in "${source}"`, {
+      details: [{ field: 'fields', message: `recursive descent ("..") is not supported in "${source}"` }],
+    });
+  }
+
+  const tokens = [];
+  const pattern = /\[\s*(\*|\d+|'[^']*'|"[^"]*")\s*\]|\.?([^.[\]]+)/g;
+  let match;
+  let consumed = 0;
+  const body = source.replace(/^\$\.?/, '');
+  while ((match = pattern.exec(body)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+    const [, bracket, key] = match;
+    if (bracket === '*' || key === '*') tokens.push({ wildcard: true });
+    else if (bracket !== undefined && /^\d+$/.test(bracket)) tokens.push({ index: Number(bracket) });
+    else if (bracket !== undefined) tokens.push({ key: bracket.slice(1, -1) });
+    else tokens.push({ key });
+  }
+  if (consumed !== body.length || (tokens.length === 0 && body !== '')) {
+    throw new InvalidArgumentError(`fields: cannot parse path "${source}"`, {
+      details: [{ field: 'fields', message: `cannot parse path "${source}"` }],
+    });
+  }
+  return tokens;
+}
+
+const MISSING = Symbol('missing');
+
+/**
+ * Keep only what a token path selects, preserving the surrounding structure
+ */
+function project(value, tokens) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  const [token, ...rest] = tokens;
+
+  if (Array.isArray(value)) {
+    if (token.index !== undefined) {
+      return token.index < value.length ? [project(value[token.index], rest)] : MISSING;
+    }
+    const next = token.wildcard ? rest : tokens;
+    return value.map((item) => project(item, next)).filter((item) => item !== MISSING);
+  }
+
+  if (value && typeof value === 'object') {
+    if (token.wildcard) {
+      const entries = Object.entries(value)
+      .map(([key, item]) => [key, project(item, rest)])
+      .filter(([, item]) => item !== MISSING);
+      return Object.fromEntries(entries);
+    }
+    if (token.key !== undefined && token.key in value) {
+      const selected = project(value[token.key], rest);
+      return selected === MISSING ? MISSING : { [token.key]: selected };
+    }
+  }
+  return MISSING;
+}
+
+/**
+ * Merge two projections of the same value
+ */
+function merge(a, b) {
+  if (a === MISSING) return b;
+  if (b === MISSING) return a;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length >= b.length
+      ? a.map((item, i) => (i < b.length ? merge(item, b[i]) : item))
+      : b.map((item, i) => (i < a.length ? merge(a[i], item) : item));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const result = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+      result[key] = key in result ? merge(result[key], value) : value;
+    }
+    return result;
+  }
+  return b;
+}
+
+/**
+ * Apply a list of field paths to a value
+ */
+export function projectFields(value, fields) {
+  const projected = fields
+  .map((field) => project(value, parseFieldPath(field)))
+  .reduce(merge, MISSING);
+  return projected === MISSING ? (Array.isArray(value) ? [] : {}) : projected;
+}
+
+const ENVELOPE_KEYS = ['data', 'result', 'results', 'response', 'payload'];
+
+/**
+ * Find the result's main array: the value itself, or its largest top-level array property. An envelope without
+ * arrays of its own (`{ data: { items: [...] } }`) is followed through its only object property, when that has one
+ * of the ENVELOPE_KEYS.
+ * Returns the rows, their dot path and a function that puts a new array back in the same shape.
+ */
+export function findRows(value) {
+  if (Array.isArray(value)) {
+    return { rows: value, key: null, wrap: (rows) => rows };
+  }
+  if (value && typeof value === 'object') {
+    const [key] = Object.entries(value)
+    .filter(([, item]) => Array.isArray(item))
+    .sort(([, a], [, b]) => b.length - a.length)[0] || [];
+    if (key !== undefined) {
+      return { rows: value[key], key, wrap: (rows) => ({ ...value, [key]: rows }) };
+    }
+    const nested = Object.entries(value).filter(([, item]) => item && typeof item === 'object');
+    if (nested.length === 1 && ENVELOPE_KEYS.includes(nested[0][0])) {
+      const [name, inner] = nested[0];
+      const found = findRows(inner);
+      if (found) {
+        return {
+          rows: found.rows,
+          key: found.key === null ? name : `${name}.${found.key}`,
+          wrap: (rows) => ({ ...value, [name]: found.wrap(rows) }),
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Flatten an object to dot-path keys for tabular output
+ */
+function flatten(value, prefix = '', row = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, row);
+    }
+  } else if (prefix) {
+    row[prefix] = Array.isArray(value) ? JSON.stringify(value) : value;
+  } else {
+    row.value = value;
+  }
+  return row;
+}
+
+function tableRows(value) {
+  const found = findRows(value);
+  const rows = found ? found.rows : [value];
+  return rows.map((row) => flatten(row));
+}
+
+function tableColumns(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a value in one of the output formats
+ */
+export function render(value, format = 'json') {
+  switch (format) {
+    case 'compact-json':
+      return JSON.stringify(value);
+    case 'csv': {
+      const rows = tableRows(value);
+      const columns = tableColumns(rows);
+      return [columns.map(csvCell).join(','), ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(','))].join('\n');
+    }
+    case 'markdown-table': {
+      const rows = tableRows(value);
+      const columns = tableColumns(rows);
+      if (columns.length === 0) return '(no rows)';
+      return [
+        `| ${columns.map(markdownCell).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${columns.map((column) => markdownCell(row[column])).join(' | ')} |`),
+      ].join('\n');
+    }
+    default:
+      return JSON.stringify(value, null, 2);
+  }
+}
+
+// Ever shorter strings and arrays tried when a result does not fit even with a single row
+const CLIP_LEVELS = [{ chars: 500, items: 50 }, { chars: 200, items: 20 }, { chars: 50, items: 5 }, { chars: 10, items: 1 }];
+const TRUNCATION_MARKER = '…[truncated]';
+
+/**
+ * Shorten every string to `chars` characters (ending in "…") and every array to its first `items` items
+ */
+function clip(value, { chars, items }) {
+  if (typeof value === 'string') {
+    return value.length > chars ? `${value.slice(0, chars)}…` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, items).map((item) => clip(item, { chars, items }));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clip(item, { chars, items })]));
+  }
+  return value;
+}
+
+/**
+ * Shape a tool result for the model.
+ * Applies offset/limit to the main array, then the field projection, renders the format and trims rows until the
+ * output fits in `maxChars`. A result that still does not fit gets shorter strings and arrays (see CLIP_LEVELS), so it
+ * stays valid JSON or CSV; only if that fails too is the text cut off, ending in TRUNCATION_MARKER.
+ * Rows are trimmed from the end and paged with offset, unless `paging` (see the registry) says the tool pages
+ * itself: with `keep: 'last'` the last rows are kept and `previous(rows)` names the arguments for the rows before.
+ * Returns the text plus notes telling the model how to page for the rest.
+ */
+export function shapeOutput(result, { fields, limit, offset, format = 'json' } = {}, { maxChars = Infinity, paging = null } = {}) {
+  const notes = [];
+  const found = findRows(result);
+  const start = offset || 0;
+  const describeRows = found?.key ? `"${found.key}"` : 'the result';
+
+  let value = result;
+  let total = null;
+  let end = null;
+  if (found) {
+    total = found.rows.length;
+    end = limit ? Math.min(total, start + limit) : total;
+    value = found.wrap(found.rows.slice(start, end));
+  }
+
+  const shape = (candidate) => render(fields ? projectFields(candidate, fields) : candidate, format);
+  let text = shape(value);
+
+  if (text.length > maxChars && found && end - start > 1) {
+    const keepLast = paging?.keep === 'last';
+    const page = (count) => (keepLast ? found.rows.slice(end - count, end) : found.rows.slice(start, start + count));
+    // Keep as many rows as fit in the budget
+    let low = 1;
+    let high = end - start - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (shape(found.wrap(page(mid))).length <= maxChars) low = mid;
+      else high = mid - 1;
+    }
+    const rows = page(low);
+    value = found.wrap(rows);
+    text = shape(value);
+    if (keepLast) {
+      const previous = paging.previous?.(rows);
+      const next = previous && Object.entries(previous).map(([key, item]) => `${key}=${item}`).join(', ');
+      notes.push(`Output truncated to fit ${maxChars} characters: returned the last ${low} of ${total} rows in ${describeRows}. `
+        + `${next ? `Call again with ${next} for the earlier rows, or pass` : 'Pass'} fields to select fewer fields.`);
+    } else {
+      end = start + low;
+      notes.push(`Output truncated to fit ${maxChars} characters: returned rows ${start}-${end - 1} of ${total} in ${describeRows}. `
+        + `Call again with offset=${end} (and a limit) for the next page, or pass fields to select fewer fields.`);
+    }
+  } else if (found && (limit || offset) && end < total) {
+    notes.push(`Returned rows ${start}-${Math.max(start, end - 1)} of ${total} in ${describeRows}. Call again with offset=${end} for the next page.`);
+  }
+
+  if (text.length > maxChars) {
+    const projected = fields ? projectFields(value, fields) : value;
+    const advice = `Pass fields to select only the parts you need${found ? ', or a smaller limit' : ''}.`;
+    let clipped = null;
+    for (const level of CLIP_LEVELS) {
+      const candidate = render(clip(projected, level), format);
+      if (candidate.length <= maxChars) {
+        clipped = candidate;
+        break;
+      }
+    }
+    if (clipped !== null) {
+      text = clipped;
+      notes.push(`Output shortened to fit ${maxChars} characters: long strings end in "…" and long arrays keep only their first items. ${advice}`);
+    } else {
+      text = `${text.slice(0, Math.max(0, maxChars - TRUNCATION_MARKER.length))}${TRUNCATION_MARKER}`;
+      notes.push(`Output cut off at ${maxChars} characters and is incomplete (it ends in "${TRUNCATION_MARKER}"). ${advice}`);
+    }
+  }
+
+  return { text, notes };
+}
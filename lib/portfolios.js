@@ -0,0 +1,100 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * JSON file store for named portfolios.
+ * Portfolios are kept per owner scope (the API key fingerprint), so clients of a shared HTTP instance only see
+ * their own. Writes go to a temporary file that is renamed into place and are serialized within the process.
+ * Names are looked up as own properties only, so a portfolio called "constructor" is just another name.
+ */
+export function createPortfolioStore(path) {
+  let queue = Promise.resolve();
+
+  const emptyStore = () => ({ version: 1, owners: Object.create(null) });
+
+  /**
+   * Portfolios of one owner scope, or null when it has none
+   */
+  function ownedBy(data, scope) {
+    return Object.hasOwn(data.owners, scope) ? data.owners[scope] : null;
+  }
+
+  async function load() {
+    try {
+      const data = JSON.parse(await readFile(path, 'utf8'));
+      return data && data.owners && typeof data.owners === 'object' ? data : emptyStore();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return emptyStore();
+      }
+      throw new Error(`Failed to read portfolio store ${path}: ${error.message}`);
+    }
+  }
+
+  async function persist(data) {
+    await mkdir(dirname(path), { recursive: true });
+    const temporary = `${path}.${process.pid}.tmp`;
+    await writeFile(temporary, JSON.stringify(data, null, 2));
+    await rename(temporary, path);
+  }
+
+  /**
+   * Run a read-modify-write after every earlier one has finished
+   */
+  function update(change) {
+    const run = queue.then(async () => {
+      const data = await load();
+      const result = change(data);
+      await persist(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    path,
+
+    async list(scope) {
+      const data = await load();
+      return Object.values(ownedBy(data, scope) || {});
+    },
+
+    async get(scope, name) {
+      const data = await load();
+      const owned = ownedBy(data, scope);
+      return owned && Object.hasOwn(owned, name) ? owned[name] : null;
+    },
+
+    /**
+     * Create or replace a portfolio; keeps the original creation time
+     */
+    save(scope, portfolio) {
+      return update((data) => {
+        let owned = ownedBy(data, scope);
+        if (!owned) {
+          owned = Object.create(null);
+          data.owners[scope] = owned;
+        }
+        const now = new Date().toISOString();
+        const createdAt = Object.hasOwn(owned, portfolio.name) ? owned[portfolio.name].createdAt : now;
+        owned[portfolio.name] = { ...portfolio, createdAt, updatedAt: now };
+        return owned[portfolio.name];
+      });
+    },
+
+    /**
+     * Delete a portfolio. Resolves with whether it existed.
+     */
+    remove(scope, name) {
+      return update((data) => {
+        const owned = ownedBy(data, scope);
+        const existed = Boolean(owned) && Object.hasOwn(owned, name);
+        if (existed) {
+          delete owned[name];
+        }
+        return existed;
+      });
+    },
+  };
+}
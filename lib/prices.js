@@ -0,0 +1,221 @@
+/**
+ * Helpers for trimming and resampling price history payloads
+ */
+
+export const PRICE_INTERVALS = ['daily', 'weekly', 'monthly'];
+
+const DATE_KEYS = ['date', 'datetime', 'time', 'timestamp', 't'];
+const SERIES_KEYS = ['data', 'prices', 'history', 'bars', 'results'];
+const CLOSE_KEYS = ['adjClose', 'adj_close', 'adjustedClose', 'close', 'c', 'price', 'value'];
+
+/**
+ * Input schema properties shared by every *_prices tool
+ */
+export const PRICE_HISTORY_PROPERTIES = {
+  from: {
+    type: "string",
+    description: "Start date (YYYY-MM-DD)",
+    format: "date"
+  },
+  to: {
+    type: "string",
+    description: "End date (YYYY-MM-DD)",
+    format: "date"
+  },
+  interval: {
+    type: "string",
+    description: "Bar interval: 'daily', 'weekly' or 'monthly' (default: daily)",
+    enum: PRICE_INTERVALS
+  },
+  limit: {
+    type: "integer",
+    description: "Return only the most recent N bars",
+    minimum: 1
+  }
+};
+
+/**
+ * Parse a bar date (ISO string, epoch seconds or epoch milliseconds)
+ */
+export function parseBarDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return new Date(value < 1e12 ? value * 1000 : value);
+  }
+  if (/^\d+$/.test(String(value))) {
+    return parseBarDate(Number(value));
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find the date key used by a list of bars
+ */
+function findDateKey(bars) {
+  const sample = bars.find((bar) => bar && typeof bar === 'object');
+  if (!sample) {
+    return null;
+  }
+  return DATE_KEYS.find((key) => key in sample) || null;
+}
+
+/**
+ * Locate the array of bars inside an upstream payload.
+ * Returns the bars plus a function that puts a new array back in the same shape.
+ */
+export function extractBars(payload) {
+  if (Array.isArray(payload)) {
+    return { bars: payload, wrap: (bars) => bars };
+  }
+  if (payload && typeof payload === 'object') {
+    for (const key of SERIES_KEYS) {
+      if (Array.isArray(payload[key])) {
+        return { bars: payload[key], wrap: (bars) => ({ ...payload, [key]: bars }) };
+      }
+      if (payload[key] && typeof payload[key] === 'object' && !Array.isArray(payload[key])) {
+        const nested = extractBars(payload[key]);
+        if (nested.bars.length > 0) {
+          return { bars: nested.bars, wrap: (bars) => ({ ...payload, [key]: nested.wrap(bars) }) };
+        }
+      }
+    }
+  }
+  return { bars: [], wrap: () => payload };
+}
+
+/**
+ * Bucket key for a bar date at the given interval
+ */
+function bucketKey(date, interval) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'monthly') {
+    return day.toISOString().slice(0, 7);
+  }
+  // Weekly buckets start on Monday
+  const offset = (day.getUTCDay() + 6) % 7;
+  day.setUTCDate(day.getUTCDate() - offset);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Merge consecutive bars of one bucket into a single OHLCV bar
+ */
+function mergeBars(bucket) {
+  const first = bucket[0];
+  const last = bucket[bucket.length - 1];
+  const merged = { ...last };
+
+  if ('open' in first) merged.open = first.open;
+  if ('high' in last) merged.high = Math.max(...bucket.map((bar) => Number(bar.high)).filter(Number.isFinite));
+  if ('low' in last) merged.low = Math.min(...bucket.map((bar) => Number(bar.low)).filter(Number.isFinite));
+  if ('volume' in last) merged.volume = bucket.reduce((sum, bar) => sum + (Number(bar.volume) || 0), 0);
+
+  return merged;
+}
+
+/**
+ * Resample daily bars to weekly or monthly bars
+ */
+export function resampleBars(bars, interval, dateKey = findDateKey(bars)) {
+  if (!interval || interval === 'daily' || !dateKey) {
+    return bars;
+  }
+
+  const buckets = new Map();
+  for (const bar of bars) {
+    const date = parseBarDate(bar[dateKey]);
+    if (!date) continue;
+    const key = bucketKey(date, interval);
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(bar);
+  }
+
+  return [...buckets.values()].map(mergeBars);
+}
+
+/**
+ * Apply from/to/interval/limit to a price history payload.
+ * Upstream endpoints that already filter are unaffected since every step is idempotent.
+ */
+export function shapePriceHistory(payload, { from, to, interval, limit } = {}) {
+  const { bars, wrap } = extractBars(payload);
+  if (bars.length === 0) {
+    return payload;
+  }
+
+  const dateKey = findDateKey(bars);
+  let shaped = bars;
+
+  if (dateKey) {
+    const start = parseBarDate(from);
+    const end = parseBarDate(to);
+    if (end && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+
+    shaped = shaped
+      .map((bar) => ({ bar, date: parseBarDate(bar[dateKey]) }))
+      .filter(({ date }) => date && (!start || date >= start) && (!end || date <= end))
+      .sort((a, b) => a.date - b.date)
+      .map(({ bar }) => bar);
+
+    shaped = resampleBars(shaped, interval, dateKey);
+  }
+
+  if (Number(limit) > 0 && shaped.length > Number(limit)) {
+    shaped = shaped.slice(-Number(limit));
+  }
+
+  return wrap(shaped);
+}
+
+/**
+ * How the server pages a price history that does not fit the output budget. The tool's own `limit` keeps the
+ * most recent bars, so truncation keeps them too, and earlier bars are requested with `to`: the day before the
+ * (weekly or monthly) period of the earliest bar returned.
+ */
+export const PRICE_HISTORY_PAGING = {
+  keep: 'last',
+  previous(bars, { interval } = {}) {
+    const dateKey = findDateKey(bars);
+    const date = dateKey ? parseBarDate(bars[0][dateKey]) : null;
+    if (!date) {
+      return null;
+    }
+    const period = interval === 'weekly' || interval === 'monthly' ? bucketKey(date, interval) : date.toISOString().slice(0, 10);
+    const start = new Date(period.length === 7 ? `${period}-01` : period);
+    start.setUTCDate(start.getUTCDate() - 1);
+    return { to: start.toISOString().slice(0, 10) };
+  },
+};
+
+/**
+ * Closing prices of a price history payload as `[{ date: 'YYYY-MM-DD', close }]`, oldest first.
+ * Bars without a parseable date or a finite close are skipped; a later bar for the same day replaces an earlier one.
+ */
+export function priceSeries(payload) {
+  const { bars } = extractBars(payload);
+  const dateKey = findDateKey(bars);
+  if (!dateKey) {
+    return [];
+  }
+
+  const byDay = new Map();
+  for (const bar of bars) {
+    const date = parseBarDate(bar[dateKey]);
+    const closeKey = CLOSE_KEYS.find((key) => bar[key] !== undefined && bar[key] !== null && bar[key] !== '');
+    const close = closeKey === undefined ? NaN : Number(bar[closeKey]);
+    if (date && Number.isFinite(close)) {
+      byDay.set(date.toISOString().slice(0, 10), close);
+    }
+  }
+
+  return [...byDay.entries()]
+  .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  .map(([date, close]) => ({ date, close }));
+}
@@ -0,0 +1,190 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { AxionError } from './errors.js';
+import { normalizeTicker } from './symbols.js';
+
+/**
+ * MCP prompt templates for common research workflows.
+ * Each prompt declares its arguments, the tools it tells the model to call (checked against the registry
+ * when the prompts are created) and `render(args)`, which returns the user message text.
+ */
+
+/**
+ * Monday to Sunday of the week containing `date`, as YYYY-MM-DD
+ */
+function weekRange(date = new Date()) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const monday = new Date(day);
+  monday.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  const sunday = new Date(monday);
+  sunday.setUTCDate(monday.getUTCDate() + 6);
+  return { from: monday.toISOString().slice(0, 10), to: sunday.toISOString().slice(0, 10) };
+}
+
+/**
+ * Numbered list of steps
+ */
+function steps(lines) {
+  return lines.map((line, i) => `${i + 1}. ${line}`).join('\n');
+}
+
+const PROMPTS = [
+  {
+    name: 'company_tear_sheet',
+    description: 'Full company tear sheet: profile, financials, valuation, ownership, sentiment and recent news',
+    arguments: [
+      { name: 'ticker', description: "Stock ticker symbol (e.g., 'AAPL')", required: true },
+      { name: 'focus', description: "Optional angle to emphasize (e.g., 'margins', 'capital returns', 'AI exposure')" },
+    ],
+    tools: [
+      'profiles_info', 'profiles_summary', 'profiles_statistics', 'profiles_financials', 'profiles_income',
+      'profiles_cashflow', 'profiles_earnings', 'profiles_trend_earnings', 'profiles_recommendation',
+      'profiles_ownership', 'profiles_insiders', 'stocks_prices', 'sentiment_analyst', 'news_ticker',
+    ],
+    render: ({ ticker, focus }) => {
+      const symbol = normalizeTicker(ticker, 'stock');
+      return `Prepare a one-page tear sheet for ${symbol}.${focus ? ` Pay particular attention to ${focus}.` : ''}
+
+Gather the data with these tools (ticker "${symbol}"):
+${steps([
+    'profiles_info and profiles_summary for the business description, sector, industry and headcount',
+    'profiles_statistics and profiles_financials for valuation multiples, margins, returns and balance sheet strength',
+    'profiles_income and profiles_cashflow for revenue, earnings and free cash flow over the last reporting periods',
+    'profiles_earnings and profiles_trend_earnings for recent surprises and forward estimates',
+    'profiles_recommendation and sentiment_analyst for the analyst consensus and price targets',
+    'profiles_ownership and profiles_insiders for major holders and recent insider activity',
+    `stocks_prices with interval "monthly" and from one year ago for the 12-month price trend`,
+    'news_ticker for the latest headlines',
+  ])}
+
+Write the answer with these sections:
+- **Snapshot**: name, sector, market cap, last price and 12-month performance in a short table
+- **Business**: two or three sentences on what the company does and how it makes money
+- **Financials**: a table of revenue, net income, margins and free cash flow for the periods available
+- **Valuation**: P/E, forward P/E, EV/EBITDA and price/sales, compared with the analyst targets
+- **Ownership & Insiders**: top holders and any notable insider buying or selling
+- **News & Sentiment**: the three most relevant recent headlines and the analyst consensus
+- **Risks & Catalysts**: bullet points grounded in the data above
+
+Cite the tool each figure came from and say so when data is missing rather than estimating it.`;
+    },
+  },
+  {
+    name: 'etf_comparison',
+    description: "Compare two ETFs: costs, holdings overlap, sector and region weights",
+    arguments: [
+      { name: 'first', description: "First ETF ticker (e.g., 'SPY')", required: true },
+      { name: 'second', description: "Second ETF ticker (e.g., 'QQQ')", required: true },
+    ],
+    tools: ['etf_fund', 'etf_holdings', 'etf_weights', 'etf_exposure', 'stocks_prices'],
+    render: ({ first, second }) => {
+      const a = normalizeTicker(first, 'etf');
+      const b = normalizeTicker(second, 'etf');
+      return `Compare the ETFs ${a} and ${b}.
+
+Gather the data with these tools for both tickers:
+${steps([
+    'etf_fund for expense ratio, assets, category and ratings',
+    'etf_holdings for the top holdings with their weights',
+    'etf_weights for the sector and region allocations',
+    `etf_exposure for the largest shared holdings, to confirm which other funds hold them`,
+    `stocks_prices with interval "monthly" and from one year ago for each ETF's 12-month performance`,
+  ])}
+
+Write the answer with these sections:
+- **Overview**: a side-by-side table of expense ratio, assets, category and 12-month return
+- **Holdings Overlap**: the holdings both funds share, with each fund's weight, and the combined overlap as a percentage of each fund
+- **Sector & Region Tilts**: a table of the allocations with the difference between the two funds
+- **Verdict**: which investor each fund suits and whether holding both adds diversification
+
+Only count overlap from holdings the tools returned and state how many holdings each list covered.`;
+    },
+  },
+  {
+    name: 'macro_weekly_brief',
+    description: "Brief on the week's macro calendar: key releases, central bank events and market headlines",
+    arguments: [
+      { name: 'from', description: 'Start date (YYYY-MM-DD); defaults to Monday of the current week' },
+      { name: 'to', description: 'End date (YYYY-MM-DD); defaults to Sunday of the current week' },
+      { name: 'countries', description: "Country codes, comma-separated (e.g., 'US,GB,JP'); defaults to 'US'" },
+    ],
+    tools: ['econ_calendar', 'econ_search', 'econ_dataset', 'news_category', 'news_country'],
+    render: ({ from, to, countries }) => {
+      const week = weekRange();
+      const start = from || week.from;
+      const end = to || week.to;
+      const country = countries || 'US';
+      return `Write a macro brief for ${start} to ${end} covering ${country}.
+
+Gather the data with these tools:
+${steps([
+    `econ_calendar with from "${start}", to "${end}", country "${country}" and minImportance 2`,
+    'econ_search and econ_dataset for the latest history of the two or three most important indicators on the calendar',
+    `news_category with category "business" and news_country for each of ${country} for market-moving headlines`,
+  ])}
+
+Write the answer with these sections:
+- **Week at a Glance**: three bullet points on what matters most
+- **Calendar**: a table of date, country, event, importance, forecast and previous value, sorted by date
+- **Indicators in Focus**: for each key release, the recent trend from its dataset and what a surprise would mean
+- **Headlines**: the most relevant macro news with one-line takeaways
+- **What to Watch**: risks and scenarios for rates, currencies and equities
+
+Use only events and figures the tools returned and flag releases whose forecast is missing.`;
+    },
+  },
+];
+
+/**
+ * Check that every tool a prompt refers to is registered
+ */
+function validatePrompts(registry) {
+  const problems = PROMPTS.flatMap(({ name, tools }) => tools
+  .filter((tool) => !registry.has(tool))
+  .map((tool) => `${name}: unknown tool "${tool}"`));
+  if (problems.length > 0) {
+    throw new Error(`Invalid prompts:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+/**
+ * Create the prompt handlers for prompts/list and prompts/get
+ */
+export function createPrompts(registry) {
+  validatePrompts(registry);
+  const byName = new Map(PROMPTS.map((prompt) => [prompt.name, prompt]));
+
+  return {
+    list() {
+      return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+    },
+
+    /**
+     * Render a prompt. Throws InvalidParams for unknown prompts, missing required arguments or invalid tickers.
+     */
+    get(name, args = {}) {
+      const prompt = byName.get(name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name} (expected one of: ${[...byName.keys()].join(', ')})`);
+      }
+      const missing = prompt.arguments.filter((arg) => arg.required && !String(args[arg.name] ?? '').trim());
+      if (missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Missing required arguments for ${name}: ${missing.map((arg) => arg.name).join(', ')}`);
+      }
+
+      let text;
+      try {
+        text = prompt.render(args);
+      } catch (error) {
+        if (error instanceof AxionError) {
+          throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+        throw error;
+      }
+
+      return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }],
+      };
+    },
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Client-side token bucket so bursts of tool calls stay within the API quota.
+ * Each request takes one token; tokens refill continuously at `refillPerSecond` up to `capacity`.
+ */
+export function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  }
+
+  async function waitForToken() {
+    refill();
+    while (tokens < 1) {
+      const waitMs = Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  return {
+    /**
+     * Resolve once a token is available. Waiters are served in call order.
+     */
+    take() {
+      const next = queue.then(waitForToken);
+      queue = next.catch(() => {});
+      return next;
+    },
+
+    get available() {
+      refill();
+      return Math.floor(tokens);
+    },
+  };
+}
+
+/**
+ * Limiter used when rate limiting is disabled
+ */
+export const unlimited = {
+  take: async () => {},
+  available: Infinity,
+};
@@ -0,0 +1,171 @@
+import { buildQueryString, makeApiRequest } from './api.js';
+import { InvalidArgumentError, UnknownToolError } from './errors.js';
+import { OUTPUT_PROPERTIES } from './output.js';
+import { ASSET_CLASSES, encodePathSegment, normalizeTicker } from './symbols.js';
+import { validate } from './validate.js';
+
+/**
+ * Tool registry.
+ * Each tool is declared once with its name, description and inputSchema plus either
+ *   - `path` (e.g. "stocks/{ticker}/prices"), optional `query` argument names, optional `asset` class used to
+ *     normalize `{ticker}` and optional `transform(result, args)`, or
+ *   - `handler(args, context)` for tools that do more than proxy one endpoint.
+ * Both the tools/list and tools/call handlers are generated from it.
+ * Every tool also accepts the output shaping arguments (fields, limit, offset, format) it does not declare itself.
+ * A tool that declares its own `limit` gets no `offset` either, since the server cannot page rows the tool has
+ * already trimmed; it can declare `paging: { keep, previous(rows, args) }` instead (see shapeOutput).
+ */
+
+const PATH_PARAM = /\{(\w+)\}/g;
+
+/**
+ * Names of the {placeholders} in a path template
+ */
+export function pathParams(path) {
+  return [...path.matchAll(PATH_PARAM)].map(([, name]) => name);
+}
+
+/**
+ * Check that every tool is declared consistently, so that what is listed can be dispatched.
+ * Throws with every problem found; run when the registry is created.
+ */
+export function validateRegistry(tools) {
+  const problems = [];
+  const names = new Set();
+
+  for (const tool of tools) {
+    const label = tool.name || '(unnamed tool)';
+    const properties = tool.inputSchema?.properties;
+
+    if (!/^[a-z][a-z0-9_]*$/.test(tool.name || '')) problems.push(`${label}: invalid name`);
+    if (names.has(tool.name)) problems.push(`${label}: duplicate name`);
+    names.add(tool.name);
+
+    if (!tool.description) problems.push(`${label}: missing description`);
+    if (tool.inputSchema?.type !== 'object' || !properties) {
+      problems.push(`${label}: inputSchema must be an object schema with properties`);
+      continue;
+    }
+    if (Boolean(tool.path) === Boolean(tool.handler)) {
+      problems.push(`${label}: declare exactly one of path or handler`);
+    }
+
+    for (const field of tool.inputSchema.required || []) {
+      if (!(field in properties)) problems.push(`${label}: required field "${field}" is not a declared property`);
+    }
+    for (const param of tool.path ? pathParams(tool.path) : []) {
+      if (!(param in properties)) problems.push(`${label}: path parameter "${param}" is not a declared property`);
+      if (!(tool.inputSchema.required || []).includes(param)) {
+        problems.push(`${label}: path parameter "${param}" must be required`);
+      }
+    }
+    for (const param of tool.query || []) {
+      if (!(param in properties)) problems.push(`${label}: query parameter "${param}" is not a declared property`);
+    }
+    if (tool.asset && !ASSET_CLASSES.includes(tool.asset)) problems.push(`${label}: unknown asset class "${tool.asset}"`);
+    if (tool.transform && typeof tool.transform !== 'function') problems.push(`${label}: transform must be a function`);
+    if (tool.paging && !['first', 'last'].includes(tool.paging.keep)) problems.push(`${label}: paging.keep must be "first" or "last"`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid tool registry:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+/**
+ * Fill a path template from the tool arguments.
+ * `{ticker}` is normalized for the tool's asset class (stock by default); every segment is encoded.
+ */
+export function buildEndpoint(tool, args) {
+  const path = tool.path.replace(PATH_PARAM, (_, name) => (name === 'ticker'
+    ? encodePathSegment(normalizeTicker(args.ticker, tool.asset), name)
+    : encodePathSegment(args[name], name)));
+  const query = Object.fromEntries((tool.query || []).map((name) => [name, args[name]]));
+  return `${path}${buildQueryString(query)}`;
+}
+
+/**
+ * Output shaping arguments a tool leaves to the server (those it does not declare itself).
+ * `offset` goes with the server's `limit`.
+ */
+function outputKeys(tool) {
+  const declared = tool.inputSchema.properties;
+  return Object.keys(OUTPUT_PROPERTIES).filter((key) => !(key in declared) && !(key === 'offset' && 'limit' in declared));
+}
+
+/**
+ * Copy of the tool's inputSchema with the output shaping arguments added
+ */
+function withOutputProperties(tool) {
+  const properties = { ...tool.inputSchema.properties };
+  for (const key of outputKeys(tool)) {
+    properties[key] = OUTPUT_PROPERTIES[key];
+  }
+  return { ...tool.inputSchema, properties };
+}
+
+/**
+ * Create the registry used by the MCP request handlers
+ */
+export function createRegistry(tools) {
+  validateRegistry(tools);
+  const byName = new Map(tools.map((tool) => [tool.name, { ...tool, inputSchema: withOutputProperties(tool), outputKeys: outputKeys(tool) }]));
+
+  const registry = {
+    /**
+     * Tool descriptors for tools/list
+     */
+    list() {
+      return [...byName.values()].map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+    },
+
+    has(name) {
+      return byName.has(name);
+    },
+
+    /**
+     * The output shaping arguments in a call that the server applies, rather than the tool
+     */
+    outputOptions(name, args = {}) {
+      const tool = byName.get(name);
+      return Object.fromEntries((tool?.outputKeys || []).filter((key) => args[key] !== undefined).map((key) => [key, args[key]]));
+    },
+
+    /**
+     * How the server trims a tool's main array to the output budget: the tool's `paging` bound to the call's
+     * arguments, or null to keep the first rows and page with offset
+     */
+    paging(name, args = {}) {
+      const paging = byName.get(name)?.paging;
+      return paging ? { keep: paging.keep, previous: (rows) => paging.previous?.(rows, args) ?? null } : null;
+    },
+
+    /**
+     * Validate the arguments against the tool's inputSchema, run the tool and resolve with its raw result.
+     * `context.apiKey` is the Axion key of the calling session (undefined uses the server's API_KEY).
+     */
+    async call(name, args = {}, context = {}) {
+      const tool = byName.get(name);
+      if (!tool) {
+        throw new UnknownToolError(name);
+      }
+
+      const errors = validate(tool.inputSchema, args);
+      if (errors.length > 0) {
+        throw new InvalidArgumentError(
+          `Invalid arguments for ${name}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+          { details: errors, hint: `Check the arguments against the ${name} inputSchema` }
+        );
+      }
+
+      if (tool.handler) {
+        return tool.handler(args, { ...context, registry });
+      }
+
+      const result = await makeApiRequest(buildEndpoint(tool, args), { method: 'GET', apiKey: context.apiKey });
+      return tool.transform ? tool.transform(result, args) : result;
+    },
+  };
+
+  return registry;
+}
@@ -0,0 +1,182 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { InvalidArgumentError, toErrorPayload } from './errors.js';
+import { findRows, OUTPUT_PROPERTIES } from './output.js';
+
+/**
+ * MCP resources backed by the tool registry.
+ * Ticker universes are `axion://<prefix>/tickers` with the tickers tool's filters as query parameters
+ * (e.g. axion://stocks/tickers?exchange=NASDAQ), and economic series are `axion://econ/dataset/{id}`.
+ * Reads go through registry.call, so arguments are validated and the session's API key is used.
+ * Large results are paged with `offset` and `limit` query parameters; every page links to the next.
+ */
+
+const SCHEME = 'axion:';
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 5000;
+
+// JSON-RPC error code the MCP spec reserves for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+const TICKER_UNIVERSES = [
+  { prefix: 'stocks', label: 'Stock' },
+  { prefix: 'crypto', label: 'Cryptocurrency' },
+  { prefix: 'forex', label: 'Forex' },
+  { prefix: 'future', label: 'Futures' },
+  { prefix: 'indices', label: 'Index' },
+];
+
+/**
+ * Resource routes: `match(host, segments)` returns the tool arguments taken from the path, or null
+ */
+const ROUTES = [
+  ...TICKER_UNIVERSES.map(({ prefix, label }) => ({
+    tool: `${prefix}_tickers`,
+    uri: `axion://${prefix}/tickers`,
+    name: `${label} tickers`,
+    description: `${label} ticker universe. Filter with query parameters and page with offset/limit.`,
+    match: (host, segments) => (host === prefix && segments.length === 1 && segments[0] === 'tickers' ? {} : null),
+  })),
+  {
+    tool: 'econ_dataset',
+    uriTemplate: 'axion://econ/dataset/{id}',
+    name: 'Economic dataset',
+    description: 'Economic time series by dataset ID (find IDs with econ_search)',
+    match: (host, segments) => (host === 'econ' && segments.length === 2 && segments[0] === 'dataset' ? { id: segments[1] } : null),
+  },
+];
+
+/**
+ * Filters a tool takes besides the output shaping arguments
+ */
+function filterNames(registry, toolName) {
+  const tool = registry.list().find(({ name }) => name === toolName);
+  return Object.keys(tool?.inputSchema.properties || {}).filter((key) => !(key in OUTPUT_PROPERTIES));
+}
+
+/**
+ * Read a non-negative integer page parameter
+ */
+function pageParam(params, name, fallback, max = Infinity) {
+  const raw = params.get(name);
+  if (raw === null) {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < (name === 'limit' ? 1 : 0) || value > max) {
+    throw new InvalidArgumentError(`${name} must be an integer between ${name === 'limit' ? 1 : 0} and ${max}`, {
+      details: [{ field: name, message: `must be an integer between ${name === 'limit' ? 1 : 0} and ${max}` }],
+    });
+  }
+  return value;
+}
+
+/**
+ * Slice the result's main array to one page and describe where the next page is
+ */
+function paginate(result, url, offset, limit) {
+  const found = findRows(result);
+  if (!found) {
+    return result;
+  }
+  const total = found.rows.length;
+  const end = Math.min(total, offset + limit);
+  let next = null;
+  if (end < total) {
+    const nextUrl = new URL(url);
+    nextUrl.searchParams.set('offset', String(end));
+    nextUrl.searchParams.set('limit', String(limit));
+    next = nextUrl.href;
+  }
+  const page = found.wrap(found.rows.slice(offset, end));
+  return {
+    ...(Array.isArray(page) ? { data: page } : page),
+    pagination: { offset, limit, total, next },
+  };
+}
+
+/**
+ * Turn a tool error into the JSON-RPC error resources/read responds with
+ */
+function toMcpError(error, toolName) {
+  const { error: payload } = toErrorPayload(error, toolName);
+  const code = payload.code === 'INVALID_ARGUMENT' ? ErrorCode.InvalidParams
+    : payload.code === 'NOT_FOUND' ? RESOURCE_NOT_FOUND
+      : ErrorCode.InternalError;
+  return new McpError(code, payload.message, payload);
+}
+
+/**
+ * Create the resource handlers on top of a tool registry
+ */
+export function createResources(registry) {
+  return {
+    /**
+     * Concrete resources for resources/list
+     */
+    list() {
+      return ROUTES.filter((route) => route.uri).map(({ uri, name, description }) => ({
+        uri,
+        name,
+        description,
+        mimeType: 'application/json',
+      }));
+    },
+
+    /**
+     * URI templates for resources/templates/list; ticker universes list their filters as RFC 6570 query expansions
+     */
+    templates() {
+      return ROUTES.map(({ tool, uri, uriTemplate, name, description }) => ({
+        uriTemplate: uriTemplate || `${uri}{?${[...filterNames(registry, tool), 'offset', 'limit'].join(',')}}`,
+        name,
+        description,
+        mimeType: 'application/json',
+      }));
+    },
+
+    /**
+     * Read one resource. Query parameters other than offset/limit become tool arguments.
+     */
+    async read(uri, context = {}) {
+      let url;
+      try {
+        url = new URL(uri);
+      } catch {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+      }
+
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      const route = url.protocol === SCHEME && ROUTES.find((candidate) => candidate.match(url.hostname, segments));
+      const pathArgs = route && route.match(url.hostname, segments);
+      if (!pathArgs) {
+        throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+      }
+
+      try {
+        const offset = pageParam(url.searchParams, 'offset', 0);
+        const limit = pageParam(url.searchParams, 'limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const filters = filterNames(registry, route.tool).filter((key) => !(key in pathArgs));
+        const args = { ...pathArgs };
+        for (const [key, value] of url.searchParams) {
+          if (key === 'offset' || key === 'limit') continue;
+          if (!filters.includes(key)) {
+            const expected = filters.length > 0 ? filters.join(', ') : 'none';
+            throw new InvalidArgumentError(`${key} is not a filter of this resource (expected one of: ${expected})`, {
+              details: [{ field: key, message: `is not a filter of this resource (expected one of: ${expected})` }],
+            });
+          }
+          args[key] = value;
+        }
+
+        const result = await registry.call(route.tool, args, context);
+        return [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(paginate(result, url, offset, limit), null, 2),
+        }];
+      } catch (error) {
+        throw toMcpError(error, route.tool);
+      }
+    },
+  };
+}
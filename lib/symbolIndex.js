@@ -0,0 +1,262 @@
+/**
+ * Fuzzy search index over the ticker universes of the `*_tickers` tools.
+ * Each universe is fetched once through the registry (so the response cache applies), normalized and kept in
+ * memory. After `ttlSeconds` a search still answers from the old index while a rebuild runs in the background.
+ * Ticker lists are the same for every API key, so one index serves all sessions.
+ */
+
+/**
+ * Ticker universe of each searchable asset class
+ */
+export const UNIVERSES = {
+  stock: "stocks_tickers",
+  crypto: "crypto_tickers",
+  forex: "forex_tickers",
+  future: "future_tickers",
+  index: "indices_tickers",
+};
+
+const TICKER_KEYS = ['ticker', 'symbol', 'code'];
+const NAME_KEYS = ['name', 'description', 'longName', 'shortName', 'title'];
+const EXCHANGE_KEYS = ['exchange', 'exchangeName', 'market', 'mic'];
+const COUNTRY_KEYS = ['country', 'countryName', 'region', 'locale'];
+const TYPE_KEYS = ['type', 'assetType', 'securityType', 'quoteType'];
+const LIST_KEYS = ['data', 'tickers', 'results', 'items'];
+
+// Words that say nothing about which company is meant
+const STOP_WORDS = new Set(['the', 'and', 'of', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited',
+  'plc', 'llc', 'lp', 'sa', 'ag', 'nv', 'se', 'holdings', 'holding', 'group', 'class', 'shares', 'ordinary', 'common', 'stock']);
+
+// Currency names, so "euro dollar" finds EURUSD
+const CURRENCY_NAMES = {
+  euro: 'eur', dollar: 'usd', usd: 'usd', yen: 'jpy', pound: 'gbp', sterling: 'gbp', franc: 'chf', swiss: 'chf',
+  yuan: 'cny', renminbi: 'cny', won: 'krw', rupee: 'inr', real: 'brl', peso: 'mxn', rand: 'zar', lira: 'try',
+  ruble: 'rub', rouble: 'rub', krona: 'sek', krone: 'nok', loonie: 'cad', canadian: 'cad', aussie: 'aud',
+  australian: 'aud', kiwi: 'nzd', zealand: 'nzd', bitcoin: 'btc', ether: 'eth', ethereum: 'eth',
+};
+
+function firstString(object, keys) {
+  const key = keys.find((name) => (typeof object[name] === 'string' && object[name] !== '') || typeof object[name] === 'number');
+  return key === undefined ? null : String(object[key]);
+}
+
+function normalizeText(text) {
+  return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(' ').filter((token) => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Similarity of two words from their edit distance, counting a swap of adjacent letters as one edit:
+ * 1 for equal words, 0 for nothing in common
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (Math.abs(a.length - b.length) > 2) return 0;
+  let before = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+    }
+    before = previous;
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * How well one query word matches one name word
+ */
+function wordMatch(word, candidate) {
+  if (candidate === word) return 1;
+  if (word.length >= 3 && candidate.startsWith(word)) return 0.9;
+  if (word.length >= 4) {
+    const score = similarity(word, candidate);
+    return score >= 0.75 ? score * 0.9 : 0;
+  }
+  return 0;
+}
+
+/**
+ * How well one query word matches a list of name words. Name words repeat across the universe, so scores are
+ * memoized per query word in `memo`.
+ */
+function wordScore(word, words, memo) {
+  let best = 0;
+  for (const candidate of words) {
+    let score = memo.get(candidate);
+    if (score === undefined) {
+      score = wordMatch(word, candidate);
+      memo.set(candidate, score);
+    }
+    if (score > best) best = score;
+  }
+  return best;
+}
+
+/**
+ * Similarity of two organization names (0 to 1), ignoring case, accents, punctuation and legal suffixes:
+ * the average of how well each name's words are found in the other
+ */
+export function nameSimilarity(a, b) {
+  if (normalizeText(a) === normalizeText(b)) return 1;
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+  const covered = (words, others) => words.reduce((sum, word) => sum + Math.max(...others.map((other) => wordMatch(word, other))), 0) / words.length;
+  return (covered(wordsA, wordsB) + covered(wordsB, wordsA)) / 2;
+}
+
+/**
+ * Index entries of one tickers payload
+ */
+export function indexEntries(payload, assetClass) {
+  let list = payload;
+  while (list && !Array.isArray(list) && typeof list === 'object') {
+    const key = LIST_KEYS.find((name) => list[name] !== undefined);
+    if (key === undefined) break;
+    list = list[key];
+  }
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+  .map((item) => (typeof item === 'string' ? { ticker: item } : item))
+  .filter((item) => item && typeof item === 'object')
+  .map((item) => {
+    const ticker = firstString(item, TICKER_KEYS);
+    const name = firstString(item, NAME_KEYS);
+    return {
+      ticker: ticker && ticker.trim().toUpperCase(),
+      name,
+      assetClass,
+      type: firstString(item, TYPE_KEYS),
+      exchange: firstString(item, EXCHANGE_KEYS),
+      country: firstString(item, COUNTRY_KEYS),
+      key: ticker ? normalizeText(ticker).replace(/ /g, '') : '',
+      fullName: name ? normalizeText(name) : '',
+      words: name ? tokenize(name) : [],
+    };
+  })
+  .filter(({ ticker }) => ticker);
+}
+
+/**
+ * Score an entry against a query (0 to 1) and say what matched
+ */
+export function scoreEntry(entry, query) {
+  let score = 0;
+  let matchedOn = null;
+  const consider = (value, on) => {
+    if (value > score) {
+      score = value;
+      matchedOn = on;
+    }
+  };
+
+  if (query.key && entry.key === query.key) consider(1, 'ticker');
+  else if (query.key.length >= 2 && entry.key.startsWith(query.key)) consider(0.8 - Math.min(0.2, (entry.key.length - query.key.length) * 0.05), 'ticker');
+
+  if (query.text && entry.fullName === query.text) consider(0.97, 'name');
+  else if (query.text.length >= 3 && entry.fullName.startsWith(`${query.text} `)) consider(0.92, 'name');
+
+  if (query.words.length > 0 && entry.words.length > 0) {
+    const total = query.words.reduce((sum, word, i) => sum + wordScore(word, entry.words, query.memos[i]), 0);
+    // Fewer unmatched words in the name is a closer match
+    const coverage = Math.min(1, query.words.length / entry.words.length);
+    consider((total / query.words.length) * (0.8 + 0.1 * coverage), 'name');
+  }
+
+  // Forex pairs by currency names, e.g. "euro dollar" -> EURUSD
+  if (entry.assetClass === 'forex' && query.currencies.length === 2 && entry.key === query.currencies.join('')) {
+    consider(0.95, 'currencies');
+  }
+
+  return { score, matchedOn };
+}
+
+/**
+ * Parse a search query once for scoring
+ */
+export function parseQuery(text) {
+  const words = tokenize(text);
+  return {
+    text: normalizeText(text),
+    key: normalizeText(text).replace(/ /g, ''),
+    words,
+    memos: words.map(() => new Map()),
+    currencies: normalizeText(text).split(' ').map((word) => CURRENCY_NAMES[word] || (/^[a-z]{3}$/.test(word) ? word : null)).filter(Boolean),
+  };
+}
+
+/**
+ * In-memory symbol index with lazy, periodic rebuilds
+ */
+export function createSymbolIndex({ ttlSeconds = 24 * 60 * 60 } = {}) {
+  const universes = new Map();
+
+  async function build(assetClass, load) {
+    const entries = indexEntries(await load(UNIVERSES[assetClass]), assetClass);
+    universes.set(assetClass, { entries, builtAt: Date.now(), pending: null });
+    return entries;
+  }
+
+  return {
+    /**
+     * Entries of one asset class, building the index on first use. `load(toolName)` fetches a tickers payload.
+     */
+    async entries(assetClass, load) {
+      const universe = universes.get(assetClass);
+      if (universe?.entries) {
+        if (Date.now() - universe.builtAt > ttlSeconds * 1000 && !universe.pending) {
+          universe.pending = build(assetClass, load).catch(() => {
+            universe.pending = null;
+          });
+        }
+        return universe.entries;
+      }
+      if (!universe?.pending) {
+        const pending = build(assetClass, load);
+        universes.set(assetClass, { entries: null, builtAt: 0, pending });
+        pending.catch(() => universes.delete(assetClass));
+      }
+      return universes.get(assetClass).pending;
+    },
+
+    /**
+     * Ranked matches for a query across the given entry lists
+     */
+    search(entryLists, text, { limit = 10, minScore = 0.5 } = {}) {
+      const query = parseQuery(text);
+      const matches = [];
+      for (const entries of entryLists) {
+        for (const entry of entries) {
+          const { score, matchedOn } = scoreEntry(entry, query);
+          if (score >= minScore) matches.push({ entry, score, matchedOn });
+        }
+      }
+      // A symbol listed twice on the same exchange is reported once
+      const seen = new Set();
+      return matches
+      .sort((a, b) => b.score - a.score || a.entry.ticker.length - b.entry.ticker.length)
+      .filter(({ entry }) => {
+        const id = `${entry.assetClass}:${entry.ticker}:${entry.exchange}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ entry: { ticker, name, assetClass, type, exchange, country }, score, matchedOn }) => ({
+        ticker, name, assetClass, type, exchange, country, score: Number(score.toFixed(3)), matchedOn,
+      }));
+    },
+  };
+}
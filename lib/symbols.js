@@ -0,0 +1,94 @@
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * Ticker normalization and safe path encoding.
+ * Symbols are trimmed and upper-cased, common notations from other data vendors are mapped to the
+ * form the Axion API uses for each asset class, and anything that could escape its path segment is rejected.
+ */
+
+export const ASSET_CLASSES = ['stock', 'etf', 'crypto', 'forex', 'future', 'index'];
+
+const CRYPTO_QUOTE_CURRENCIES = ['USDT', 'USDC', 'USD'];
+
+// Stablecoins whose own symbol ends in a quote currency
+const CRYPTO_STABLECOINS = new Set(['BUSD', 'FDUSD', 'GUSD', 'LUSD', 'PYUSD', 'SUSD', 'TUSD', 'USDD']);
+
+const CRYPTO_ALIASES = {
+  XBT: 'BTC',
+  BITCOIN: 'BTC',
+  ETHEREUM: 'ETH',
+};
+
+const UNSAFE_SYMBOL = /\.\.|[/\\?#%\s\u0000-\u001f]/;
+
+/**
+ * Per asset class rewrites, applied to the trimmed, upper-cased symbol
+ */
+const ALIASES = {
+  // BRK-B, BRK/B and BRK B are share classes written as BRK.B; $AAPL cashtags drop the $
+  stock: (symbol) => symbol.replace(/^\$/, '').replace(/^([A-Z]+)[-/ ]([A-Z])$/, '$1.$2'),
+  etf: (symbol) => symbol.replace(/^\$/, ''),
+  // BTC-USD, BTC/USD, BTCUSDT and XBT all mean BTC
+  crypto: (symbol) => {
+    let base = symbol.replace(/^\$/, '');
+    if (CRYPTO_STABLECOINS.has(base)) {
+      return base;
+    }
+    for (const quote of CRYPTO_QUOTE_CURRENCIES) {
+      const match = new RegExp(`^([A-Z0-9]{2,})[-/]?${quote}$`).exec(base);
+      if (match) {
+        base = match[1];
+        break;
+      }
+    }
+    return CRYPTO_ALIASES[base] || base;
+  },
+  // EUR/USD, EUR-USD, EUR USD and EURUSD=X all mean EURUSD
+  forex: (symbol) => symbol.replace(/=X$/, '').replace(/^([A-Z]{3})[-/ ]([A-Z]{3})$/, '$1$2'),
+  // ES=F and /ES both mean ES
+  future: (symbol) => symbol.replace(/=F$/, '').replace(/^\//, ''),
+  // ^GSPC and .AEX keep their prefix; the path segment is URL-encoded when the request is built
+  index: (symbol) => symbol,
+};
+
+// A crypto pair quoted in something other than a dollar currency, e.g. ETH/BTC
+const CRYPTO_CROSS_PAIR = /^[A-Z0-9]{2,}[-/][A-Z0-9]{2,}$/;
+
+/**
+ * Normalize a ticker for an asset class. Throws InvalidArgumentError for symbols that are empty or unsafe.
+ */
+export function normalizeTicker(ticker, assetClass = 'stock') {
+  const trimmed = String(ticker ?? '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const symbol = (ALIASES[assetClass] || ALIASES.stock)(trimmed);
+
+  if (!symbol) {
+    throw new InvalidArgumentError('ticker must not be empty', {
+      details: [{ field: 'ticker', message: 'must not be empty' }],
+    });
+  }
+  if (assetClass === 'crypto' && CRYPTO_CROSS_PAIR.test(symbol)) {
+    throw new InvalidArgumentError(`ticker "${trimmed}" is a crypto pair; crypto symbols name one asset, quoted in USD`, {
+      details: [{ field: 'ticker', message: 'must be a single crypto asset, not a pair' }],
+      hint: `Pass the base asset alone (e.g. "${symbol.split(/[-/]/)[0]}"); for a cross rate, fetch both assets and divide their prices`,
+    });
+  }
+  if (UNSAFE_SYMBOL.test(symbol) || symbol === '.') {
+    throw new InvalidArgumentError(`ticker "${trimmed}" contains characters that are not valid in a ${assetClass} symbol`, {
+      details: [{ field: 'ticker', message: 'contains characters that are not valid in a symbol' }],
+    });
+  }
+  return symbol;
+}
+
+/**
+ * Encode one path segment. Rejects "." and ".." which would change the path instead of naming a resource.
+ */
+export function encodePathSegment(value, field = 'value') {
+  const segment = String(value ?? '').trim();
+  if (segment === '' || segment === '.' || segment === '..') {
+    throw new InvalidArgumentError(`${field} must be a non-empty value other than "." or ".."`, {
+      details: [{ field, message: segment === '' ? 'must not be empty' : 'is not a valid path segment' }],
+    });
+  }
+  return encodeURIComponent(segment);
+}
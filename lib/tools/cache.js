@@ -0,0 +1,34 @@
+import { responseCache } from '../api.js';
+import { keyFingerprint } from '../auth.js';
+import { config } from '../config.js';
+
+/**
+ * Cache admin tools
+ */
+export const cacheTools = [
+  {
+    name: "cache_stats",
+    description: "Get response cache statistics (hits, misses, entries per endpoint family, TTLs)",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    handler: async () => responseCache.stats()
+  },
+  {
+    name: "cache_clear",
+    description: "Clear this session's cached API responses, optionally only endpoints starting with a prefix",
+    inputSchema: {
+      type: "object",
+      properties: {
+        prefix: {
+          type: "string",
+          description: "Endpoint prefix to clear (e.g., 'stocks/', 'profiles/AAPL/'); clears everything when omitted"
+        }
+      }
+    },
+    handler: async (args, context) => ({
+      cleared: await responseCache.clear(args.prefix, keyFingerprint(context.apiKey ?? config.apiKey))
+    })
+  },
+];
@@ -0,0 +1,47 @@
+import { ASSET_CLASSES } from '../symbols.js';
+
+/**
+ * Schema fragments and helpers shared by tool definitions
+ */
+export const STOCK_TICKER = {
+  type: "string",
+  description: "Stock ticker symbol (e.g., 'AAPL' for Apple)"
+};
+
+/**
+ * One symbol of a multi-asset list: { asset, ticker }
+ */
+export const SYMBOL = {
+  type: "object",
+  properties: {
+    asset: {
+      type: "string",
+      description: "Asset class",
+      enum: ASSET_CLASSES
+    },
+    ticker: {
+      type: "string",
+      description: "Ticker symbol in any common notation (e.g., 'BRK-B', 'BTC-USD', 'EUR/USD')"
+    }
+  },
+  required: ["asset", "ticker"],
+  additionalProperties: false
+};
+
+/**
+ * Define a tool that only takes a stock ticker and maps it onto a path template
+ */
+export function tickerTool(name, description, path) {
+  return {
+    name,
+    description,
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: STOCK_TICKER
+      },
+      required: ["ticker"]
+    },
+    path
+  };
+}
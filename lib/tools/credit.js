@@ -0,0 +1,35 @@
+/**
+ * Credit rating tools
+ */
+export const creditTools = [
+  {
+    name: "credit_search",
+    description: "Search for credit entities by name, sector, country, or state",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search query (organization name)"
+        },
+      }
+    },
+    path: "credit/search",
+    query: ["query"]
+  },
+  {
+    name: "credit_ratings",
+    description: "Get credit ratings for a specific organization by ID",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "Organization ID (from search results)"
+        }
+      },
+      required: ["id"]
+    },
+    path: "credit/ratings/{id}"
+  },
+];
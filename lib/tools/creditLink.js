@@ -0,0 +1,185 @@
+import { firstValue, normalizeName } from '../analytics/numbers.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { NotFoundError, toErrorPayload } from '../errors.js';
+import { parseBarDate } from '../prices.js';
+import { nameSimilarity } from '../symbolIndex.js';
+import { normalizeTicker } from '../symbols.js';
+import { STOCK_TICKER } from './common.js';
+import { compact } from './snapshot.js';
+
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+const MAX_CANDIDATES = 5;
+
+const COMPANY_NAME_KEYS = ['longName', 'name', 'companyName', 'shortName'];
+const ID_KEYS = ['id', 'entityId', 'orgId', 'organizationId', 'organization_id'];
+const ENTITY_NAME_KEYS = ['name', 'entityName', 'organizationName', 'orgName', 'legalName'];
+const COUNTRY_KEYS = ['country', 'countryName', 'domicile'];
+const RATING_KEYS = ['rating', 'creditRating', 'grade', 'ratingSymbol'];
+const DATE_KEYS = ['date', 'ratingDate', 'effectiveDate', 'actionDate', 'updatedAt', 'asOf'];
+const OUTLOOK_KEYS = ['outlook', 'watch', 'creditWatch'];
+const TYPE_KEYS = ['type', 'ratingType', 'term', 'debtType', 'agency'];
+
+// Legal suffixes dropped for a second, broader search ("Apple Inc." -> "Apple")
+const LEGAL_SUFFIX = /[,.]?\s+(inc|incorporated|corp|corporation|co|company|ltd|limited|plc|llc|sa|ag|nv|se|holdings?|group)\.?$/i;
+
+// ISO 3166 alpha-2 codes of common domiciles, by normalized country name or alpha-3 code
+const COUNTRY_CODES = new Map([
+  ['unitedstates', 'US'], ['unitedstatesofamerica', 'US'], ['usa', 'US'],
+  ['unitedkingdom', 'GB'], ['greatbritain', 'GB'], ['uk', 'GB'], ['gbr', 'GB'],
+  ['germany', 'DE'], ['deu', 'DE'], ['france', 'FR'], ['fra', 'FR'], ['netherlands', 'NL'], ['nld', 'NL'],
+  ['switzerland', 'CH'], ['che', 'CH'], ['ireland', 'IE'], ['irl', 'IE'], ['canada', 'CA'], ['can', 'CA'],
+  ['japan', 'JP'], ['jpn', 'JP'], ['china', 'CN'], ['chn', 'CN'], ['southkorea', 'KR'], ['korea', 'KR'], ['kor', 'KR'],
+  ['taiwan', 'TW'], ['twn', 'TW'], ['india', 'IN'], ['ind', 'IN'], ['australia', 'AU'], ['aus', 'AU'],
+]);
+
+/**
+ * ISO alpha-2 code of a country name or code, or null when it is not known
+ */
+function countryCode(country) {
+  const key = normalizeName(country);
+  return COUNTRY_CODES.get(key) ?? (/^[a-z]{2}$/.test(key) ? key.toUpperCase() : null);
+}
+
+/**
+ * Whether two countries are the same, by code when both are known ("United States" and "US") and by name otherwise
+ */
+function sameCountry(a, b) {
+  const codeA = countryCode(a);
+  const codeB = countryCode(b);
+  return codeA && codeB ? codeA === codeB : nameSimilarity(a, b) >= 0.9;
+}
+
+/**
+ * Objects in a payload that have one of `keys`, wherever they are nested. With `descend`, objects inside a
+ * match are searched too (e.g. a rating history under the current rating).
+ */
+function findObjects(payload, keys, { descend = false } = {}) {
+  const found = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      const match = firstValue(value, keys);
+      if (match !== null && typeof match !== 'object') {
+        found.push(value);
+        if (!descend) return;
+      }
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(payload);
+  return found;
+}
+
+/**
+ * Credit entities in a credit_search payload as `[{ id, name, country }]`
+ */
+function creditEntities(payload) {
+  return findObjects(payload, ID_KEYS)
+  .map((entity) => ({
+    id: String(firstValue(entity, ID_KEYS)),
+    name: firstValue(entity, ENTITY_NAME_KEYS),
+    country: firstValue(entity, COUNTRY_KEYS),
+  }))
+  .filter(({ name }) => typeof name === 'string');
+}
+
+/**
+ * Rating actions in a credit_ratings payload, newest first. Dates may be ISO strings or epoch seconds or
+ * milliseconds. Empty when the payload has no recognizable ratings.
+ */
+function ratingHistory(payload) {
+  const entries = findObjects(payload, RATING_KEYS, { descend: true })
+  .map((entry) => ({
+    date: firstValue(entry, DATE_KEYS),
+    rating: firstValue(entry, RATING_KEYS),
+    outlook: firstValue(entry, OUTLOOK_KEYS),
+    type: firstValue(entry, TYPE_KEYS),
+  }));
+  // An undated current rating next to a dated history repeats its latest entry
+  const dated = entries.filter(({ date }) => date !== null);
+  const time = ({ date }) => parseBarDate(date)?.getTime() ?? 0;
+  return (dated.length > 0 ? dated : entries).sort((a, b) => time(b) - time(a));
+}
+
+/**
+ * Tools that join credit and equity data
+ */
+export const creditLinkTools = [
+  {
+    name: "credit_for_ticker",
+    description: "Find the credit rating entity of a listed company and return its rating history. The company name from profiles_info is searched with credit_search and candidates are scored by name similarity (and country, when both sides report one). Ratings are returned for the best candidate when its confidence reaches `minConfidence`; all candidates are listed with their confidence so a different ID can be passed to credit_ratings.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: STOCK_TICKER,
+        minConfidence: {
+          type: "number",
+          description: `Confidence (0 to 1) the best match needs before its ratings are fetched (default: ${DEFAULT_MIN_CONFIDENCE})`,
+          minimum: 0,
+          maximum: 1
+        }
+      },
+      required: ["ticker"]
+    },
+    handler: async (args, context) => {
+      const ticker = normalizeTicker(args.ticker, 'stock');
+      const minConfidence = args.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+
+      const info = compact(await context.registry.call('profiles_info', { ticker }, context)) ?? {};
+      const profile = findObjects(info, COMPANY_NAME_KEYS)[0] || {};
+      const name = firstValue(profile, COMPANY_NAME_KEYS);
+      if (typeof name !== 'string') {
+        throw new NotFoundError(`No company name in the profiles_info response for ${ticker}`, {
+          hint: 'Search by name with credit_search instead',
+        });
+      }
+      const country = firstValue(profile, COUNTRY_KEYS);
+
+      const queries = [...new Set([name, name.replace(LEGAL_SUFFIX, '')])];
+      const settled = await mapSettled(queries, config.fanoutConcurrency, (query) => context.registry.call('credit_search', { query }, context));
+      if (settled.every((result) => result.status === 'rejected')) {
+        throw settled[0].reason;
+      }
+
+      const candidates = new Map();
+      for (const result of settled.filter(({ status }) => status === 'fulfilled')) {
+        for (const entity of creditEntities(result.value)) {
+          if (candidates.has(entity.id)) continue;
+          let confidence = nameSimilarity(name, entity.name);
+          if (country && entity.country) {
+            confidence *= sameCountry(country, entity.country) ? 1 : 0.8;
+          }
+          candidates.set(entity.id, { ...entity, confidence: Number(confidence.toFixed(3)) });
+        }
+      }
+      const ranked = [...candidates.values()].sort((a, b) => b.confidence - a.confidence).slice(0, MAX_CANDIDATES);
+      const best = ranked[0]?.confidence >= minConfidence ? ranked[0] : null;
+
+      const result = {
+        ticker,
+        company: { name, country },
+        match: best,
+        candidates: ranked,
+      };
+      if (!best) {
+        return {
+          ...result,
+          note: ranked.length > 0
+            ? `No candidate reached confidence ${minConfidence}; check the candidates and call credit_ratings with the right ID`
+            : `credit_search found no entities for "${name}"`,
+        };
+      }
+
+      try {
+        const ratings = await context.registry.call('credit_ratings', { id: best.id }, context);
+        const history = ratingHistory(ratings);
+        return { ...result, ...(history.length > 0 ? { ratings: history } : { ratings: compact(ratings) ?? null }) };
+      } catch (error) {
+        const { error: payload } = toErrorPayload(error, 'credit_ratings');
+        return { ...result, ratings: null, errors: { credit_ratings: `${payload.code}: ${payload.message}` } };
+      }
+    }
+  },
+];
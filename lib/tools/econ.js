@@ -0,0 +1,75 @@
+/**
+ * Economic data tools
+ */
+export const econTools = [
+  {
+    name: "econ_search",
+    description: "Search for economic datasets (FRED)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search query for economic indicators"
+        }
+      },
+      required: ["query"]
+    },
+    path: "econ/search",
+    query: ["query"]
+  },
+  {
+    name: "econ_dataset",
+    description: "Get economic dataset time series data by ID",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "Dataset ID (from search results, e.g., 'PMAIZMTUSDM')"
+        }
+      },
+      required: ["id"]
+    },
+    path: "econ/dataset/{id}"
+  },
+  {
+    name: "econ_calendar",
+    description: "Get economic calendar events with filtering options",
+    inputSchema: {
+      type: "object",
+      properties: {
+        from: {
+          type: "string",
+          description: "Start date (YYYY-MM-DD)",
+          format: "date"
+        },
+        to: {
+          type: "string",
+          description: "End date (YYYY-MM-DD)",
+          format: "date"
+        },
+        country: {
+          type: "string",
+          description: "Country code or comma-separated list (e.g., 'US' or 'US,GB,JP')"
+        },
+        minImportance: {
+          type: "integer",
+          description: "Minimum importance level (0-3, where 3 is highest)",
+          minimum: -1,
+          maximum: 3
+        },
+        currency: {
+          type: "string",
+          description: "Currency code or comma-separated list (e.g., 'USD' or 'USD,EUR,GBP')"
+        },
+        category: {
+          type: "string",
+          description: "Category or comma-separated list (e.g., 'gov' or 'gov,infl')"
+        }
+      }
+    },
+    path: "econ/calendar",
+    query: ["from", "to", "country", "minImportance", "currency", "category"]
+  },
+];
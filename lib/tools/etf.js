@@ -0,0 +1,67 @@
+import { tickerTool } from './common.js';
+
+/**
+ * ESG and ETF tools
+ */
+const ETF_TICKER = {
+  type: "string",
+  description: "ETF ticker symbol (e.g., 'SPY' for SPDR S&P 500 ETF Trust)"
+};
+
+export const etfTools = [
+  tickerTool("esg_data", "Get ESG (Environmental, Social, Governance) scores for a specific ticker", "esg/{ticker}"),
+  {
+    name: "etf_fund",
+    description: "Get ETF fund information including ratings, metrics, and classification",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: ETF_TICKER
+      },
+      required: ["ticker"]
+    },
+    path: "etf/{ticker}/fund",
+    asset: "etf"
+  },
+  {
+    name: "etf_weights",
+    description: "Get ETF sector and region allocation weights",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: ETF_TICKER
+      },
+      required: ["ticker"]
+    },
+    path: "etf/{ticker}/weights",
+    asset: "etf"
+  },
+  {
+    name: "etf_holdings",
+    description: "Get ETF top holdings including weight, shares, and market value",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: ETF_TICKER
+      },
+      required: ["ticker"]
+    },
+    path: "etf/{ticker}/holdings",
+    asset: "etf"
+  },
+  {
+    name: "etf_exposure",
+    description: "Get which other ETFs hold a specific ticker (inverse exposure)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: {
+          type: "string",
+          description: "Stock ticker symbol (e.g., 'AAPL' for Apple) to find ETFs that hold it"
+        }
+      },
+      required: ["ticker"]
+    },
+    path: "etf/{ticker}/exposure"
+  },
+];
@@ -0,0 +1,206 @@
+import { accumulate, holdingsOverlap, parseAllocations, parseHoldings } from '../analytics/funds.js';
+import { roundNumbers } from '../analytics/numbers.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { InvalidArgumentError, toErrorPayload } from '../errors.js';
+import { normalizeTicker } from '../symbols.js';
+
+const MAX_FUNDS = 10;
+const MAX_POSITIONS = 25;
+const DEFAULT_TOP = 25;
+
+const ETF_TICKERS = {
+  type: "array",
+  items: {
+    type: "string"
+  }
+};
+
+/**
+ * Call one tool for every fund, reporting failures per fund instead of failing the whole call
+ */
+async function fetchForFunds(tickers, toolName, context) {
+  const settled = await mapSettled(tickers, config.fanoutConcurrency, (ticker) => context.registry.call(toolName, { ticker }, context));
+  const results = new Map();
+  const errors = [];
+  settled.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      results.set(tickers[i], result.value);
+    } else {
+      const { error } = toErrorPayload(result.reason, toolName);
+      errors.push({ ticker: tickers[i], tool: toolName, error: `${error.code}: ${error.message}`, reason: result.reason });
+    }
+  });
+  return { results, errors };
+}
+
+/**
+ * Sorted `[{ <label>: name, weight }]` from a Map of totals
+ */
+function ranked(totals, label) {
+  return [...totals.entries()]
+  .sort(([, a], [, b]) => b - a)
+  .map(([name, weight]) => ({ [label]: name, weight }));
+}
+
+/**
+ * ETF comparison and look-through tools
+ */
+export const fundTools = [
+  {
+    name: "etf_overlap",
+    description: "Compare the holdings of 2 to 10 ETFs: pairwise overlap by weight (sum of the smaller weight of each shared holding), number of shared holdings, and the constituents held by all funds. Based on the holdings each fund reports, which may be its top holdings only.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tickers: {
+          ...ETF_TICKERS,
+          description: "ETF ticker symbols (e.g., ['SPY', 'QQQ', 'VTI'])",
+          minItems: 2,
+          maxItems: MAX_FUNDS
+        }
+      },
+      required: ["tickers"]
+    },
+    handler: async (args, context) => {
+      const tickers = [...new Set(args.tickers.map((ticker) => normalizeTicker(ticker, 'etf')))];
+      const { results, errors } = await fetchForFunds(tickers, 'etf_holdings', context);
+      const holdings = new Map([...results].map(([ticker, payload]) => [ticker, parseHoldings(payload)]));
+      const funds = [...holdings.keys()];
+      if (funds.length < 2) {
+        throw errors[0]?.reason || new InvalidArgumentError('tickers must name at least two different funds', {
+          details: [{ field: 'tickers', message: 'must name at least two different funds' }],
+        });
+      }
+
+      const pairs = [];
+      for (let i = 0; i < funds.length; i++) {
+        for (let j = i + 1; j < funds.length; j++) {
+          const a = holdings.get(funds[i]);
+          const b = holdings.get(funds[j]);
+          const { weightOverlap, shared } = holdingsOverlap(a, b);
+          pairs.push({
+            a: funds[i],
+            b: funds[j],
+            weightOverlap,
+            sharedHoldings: shared.length,
+            sharedOfA: a.length > 0 ? shared.length / a.length : null,
+            sharedOfB: b.length > 0 ? shared.length / b.length : null,
+          });
+        }
+      }
+
+      const union = new Set(funds.flatMap((fund) => holdings.get(fund).map(({ ticker }) => ticker)));
+      const inAll = [...union].filter((ticker) => funds.every((fund) => holdings.get(fund).some((holding) => holding.ticker === ticker)));
+      const intersection = inAll.map((ticker) => {
+        const entries = funds.map((fund) => holdings.get(fund).find((holding) => holding.ticker === ticker));
+        return {
+          ticker,
+          name: entries.find((entry) => entry.name)?.name ?? null,
+          ...Object.fromEntries(funds.map((fund, i) => [fund, entries[i].weight])),
+        };
+      });
+
+      return roundNumbers({
+        funds: funds.map((fund) => ({
+          ticker: fund,
+          holdings: holdings.get(fund).length,
+          reportedWeight: holdings.get(fund).reduce((sum, { weight }) => sum + weight, 0),
+        })),
+        pairs,
+        union: union.size,
+        intersection,
+        ...(errors.length > 0 && { errors: errors.map(({ reason, ...entry }) => entry) }),
+      });
+    }
+  },
+  {
+    name: "portfolio_lookthrough",
+    description: "Look through a portfolio of ETFs to its underlying exposure: the largest underlying stocks (weighted by position and holding weight, with which funds contribute), and sector and region exposure from each fund's allocation weights. Position weights are normalized to sum to 1.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        positions: {
+          type: "array",
+          description: "ETF positions with their portfolio weights, e.g. [{\"ticker\": \"SPY\", \"weight\": 0.6}, {\"ticker\": \"EFA\", \"weight\": 0.4}]",
+          items: {
+            type: "object",
+            properties: {
+              ticker: {
+                type: "string",
+                description: "ETF ticker symbol"
+              },
+              weight: {
+                type: "number",
+                description: "Portfolio weight (fraction, percent or amount; normalized to sum to 1)",
+                exclusiveMinimum: 0
+              }
+            },
+            required: ["ticker", "weight"],
+            additionalProperties: false
+          },
+          minItems: 1,
+          maxItems: MAX_POSITIONS
+        },
+        top: {
+          type: "integer",
+          description: `Number of underlying stocks to return (default: ${DEFAULT_TOP})`,
+          minimum: 1,
+          maximum: 500
+        }
+      },
+      required: ["positions"]
+    },
+    handler: async (args, context) => {
+      const weights = new Map();
+      for (const { ticker, weight } of args.positions) {
+        const symbol = normalizeTicker(ticker, 'etf');
+        weights.set(symbol, (weights.get(symbol) || 0) + weight);
+      }
+      const total = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+      const tickers = [...weights.keys()];
+
+      const holdingsResults = await fetchForFunds(tickers, 'etf_holdings', context);
+      const allocationResults = await fetchForFunds(tickers, 'etf_weights', context);
+
+      const stocks = new Map();
+      const sectors = new Map();
+      const regions = new Map();
+      const positions = [];
+      let uncovered = 0;
+
+      for (const ticker of tickers) {
+        const positionWeight = weights.get(ticker) / total;
+        const holdings = holdingsResults.results.has(ticker) ? parseHoldings(holdingsResults.results.get(ticker)) : [];
+        const reported = holdings.reduce((sum, { weight }) => sum + weight, 0);
+        for (const { ticker: constituent, name, weight } of holdings) {
+          const entry = stocks.get(constituent) || { ticker: constituent, name, weight: 0, via: {} };
+          entry.weight += positionWeight * weight;
+          entry.via[ticker] = (entry.via[ticker] || 0) + positionWeight * weight;
+          stocks.set(constituent, entry);
+        }
+        uncovered += positionWeight * Math.max(0, 1 - reported);
+
+        const allocation = allocationResults.results.has(ticker) ? parseAllocations(allocationResults.results.get(ticker)) : { sectors: {}, regions: {} };
+        accumulate(sectors, allocation.sectors, positionWeight);
+        accumulate(regions, allocation.regions, positionWeight);
+        positions.push({ ticker, weight: positionWeight, holdingsReported: holdings.length, reportedWeight: reported });
+      }
+
+      const errors = [...holdingsResults.errors, ...allocationResults.errors];
+      if (errors.length === tickers.length * 2) {
+        throw errors[0].reason;
+      }
+
+      return roundNumbers({
+        positions,
+        stocks: [...stocks.values()].sort((a, b) => b.weight - a.weight).slice(0, args.top || DEFAULT_TOP),
+        // Weight in holdings the funds do not report (e.g. beyond their top holdings)
+        unreportedHoldingsWeight: uncovered,
+        sectors: ranked(sectors, 'sector'),
+        regions: ranked(regions, 'region'),
+        ...(errors.length > 0 && { errors: errors.map(({ reason, ...entry }) => entry) }),
+      });
+    }
+  },
+];
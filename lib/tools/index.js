@@ -0,0 +1,48 @@
+import { cacheTools } from './cache.js';
+import { creditTools } from './credit.js';
+import { creditLinkTools } from './creditLink.js';
+import { econTools } from './econ.js';
+import { etfTools } from './etf.js';
+import { fundTools } from './funds.js';
+import { cryptoTools, forexTools, futureTools, indicesTools, stocksTools } from './markets.js';
+import { newsTools, sentimentTools } from './news.js';
+import { peerTools } from './peers.js';
+import { portfolioTools } from './portfolio.js';
+import { profileTools, supplyChainTools } from './profiles.js';
+import { quoteTools } from './quotes.js';
+import { riskTools } from './risk.js';
+import { searchTools } from './search.js';
+import { snapshotTools } from './snapshot.js';
+import { statementTools } from './statements.js';
+import { supplyChainGraphTools } from './supplyChainGraph.js';
+import { technicalTools } from './technicals.js';
+
+/**
+ * Every tool exposed by the server, in the order they are listed
+ */
+export const tools = [
+  ...creditTools,
+  ...creditLinkTools,
+  ...econTools,
+  ...etfTools,
+  ...newsTools,
+  ...sentimentTools,
+  ...supplyChainTools,
+  ...profileTools,
+  ...cryptoTools,
+  ...forexTools,
+  ...futureTools,
+  ...indicesTools,
+  ...stocksTools,
+  ...searchTools,
+  ...snapshotTools,
+  ...peerTools,
+  ...supplyChainGraphTools,
+  ...quoteTools,
+  ...technicalTools,
+  ...riskTools,
+  ...statementTools,
+  ...fundTools,
+  ...portfolioTools,
+  ...cacheTools,
+];
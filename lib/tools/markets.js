@@ -0,0 +1,157 @@
+import { PRICE_HISTORY_PAGING, PRICE_HISTORY_PROPERTIES, shapePriceHistory } from '../prices.js';
+
+/**
+ * Build the tickers / quote / prices tools of one asset class
+ */
+function marketTools({ prefix, asset, ticker, tickers, quote, prices }) {
+  return [
+    {
+      name: `${prefix}_tickers`,
+      description: tickers.description,
+      inputSchema: {
+        type: "object",
+        properties: tickers.properties
+      },
+      path: `${prefix}/tickers`,
+      query: Object.keys(tickers.properties)
+    },
+    {
+      name: `${prefix}_quote`,
+      description: quote,
+      inputSchema: {
+        type: "object",
+        properties: {
+          ticker
+        },
+        required: ["ticker"]
+      },
+      path: `${prefix}/{ticker}`,
+      asset
+    },
+    {
+      name: `${prefix}_prices`,
+      description: prices,
+      inputSchema: {
+        type: "object",
+        properties: {
+          ticker,
+          ...PRICE_HISTORY_PROPERTIES
+        },
+        required: ["ticker"]
+      },
+      path: `${prefix}/{ticker}/prices`,
+      asset,
+      query: ["from", "to"],
+      transform: shapePriceHistory,
+      paging: PRICE_HISTORY_PAGING
+    },
+  ];
+}
+
+export const cryptoTools = marketTools({
+  prefix: "crypto",
+  asset: "crypto",
+  ticker: {
+    type: "string",
+    description: "Cryptocurrency ticker symbol (e.g., 'BTC', 'ETH')"
+  },
+  tickers: {
+    description: "Get list of cryptocurrency tickers, optionally filtered by type",
+    properties: {
+      type: {
+        type: "string",
+        description: "Filter by type (e.g., 'spot')"
+      }
+    }
+  },
+  quote: "Get details for a specific cryptocurrency by ticker symbol",
+  prices: "Get historical price data for a cryptocurrency ticker"
+});
+
+export const forexTools = marketTools({
+  prefix: "forex",
+  asset: "forex",
+  ticker: {
+    type: "string",
+    description: "Forex ticker symbol (e.g., 'AEDAUD', 'EURUSD')"
+  },
+  tickers: {
+    description: "Get list of forex tickers with optional filtering by country or exchange",
+    properties: {
+      country: {
+        type: "string",
+        description: "Filter by country code (e.g., 'US', 'AE')"
+      },
+      exchange: {
+        type: "string",
+        description: "Filter by exchange (e.g., 'IDC')"
+      }
+    }
+  },
+  quote: "Get details for a specific forex pair by ticker symbol",
+  prices: "Get historical price data for a forex ticker"
+});
+
+export const futureTools = marketTools({
+  prefix: "future",
+  asset: "future",
+  ticker: {
+    type: "string",
+    description: "Futures ticker symbol (e.g., 'ALI', 'M6A', 'BTC')"
+  },
+  tickers: {
+    description: "Get list of futures tickers with optional filtering by exchange",
+    properties: {
+      exchange: {
+        type: "string",
+        description: "Filter by exchange (e.g., 'CME', 'CMX')"
+      }
+    }
+  },
+  quote: "Get details for a specific futures contract by ticker symbol",
+  prices: "Get historical price data for a futures contract"
+});
+
+export const indicesTools = marketTools({
+  prefix: "indices",
+  asset: "index",
+  ticker: {
+    type: "string",
+    description: "Index ticker symbol (e.g., 'AXJO', 'AEX', 'ATX')"
+  },
+  tickers: {
+    description: "Get list of index tickers with optional filtering by exchange",
+    properties: {
+      exchange: {
+        type: "string",
+        description: "Filter by exchange (e.g., 'ASX', 'AMS', 'VIE')"
+      }
+    }
+  },
+  quote: "Get details for a specific index by ticker symbol",
+  prices: "Get historical price data for an index"
+});
+
+export const stocksTools = marketTools({
+  prefix: "stocks",
+  asset: "stock",
+  ticker: {
+    type: "string",
+    description: "Stock ticker symbol (e.g., 'AAPL', 'MSFT', 'TSLA')"
+  },
+  tickers: {
+    description: "Get list of stock tickers with optional filtering by country or exchange",
+    properties: {
+      country: {
+        type: "string",
+        description: "Filter by country (e.g., 'america')"
+      },
+      exchange: {
+        type: "string",
+        description: "Filter by exchange (e.g., 'NASDAQ', 'AMEX', 'OTC')"
+      }
+    }
+  },
+  quote: "Get details for a specific stock by ticker symbol",
+  prices: "Get historical price data for a stock"
+});
@@ -0,0 +1,53 @@
+import { tickerTool } from './common.js';
+
+/**
+ * News and sentiment tools
+ */
+export const newsTools = [
+  tickerTool("news_ticker", "Get news for a specific company by ticker symbol", "news/{ticker}"),
+  {
+    name: "news_country",
+    description: "Get news for a specific country",
+    inputSchema: {
+      type: "object",
+      properties: {
+        country: {
+          type: "string",
+          description: "Country name or code (e.g., 'US', 'United States')"
+        }
+      },
+      required: ["country"]
+    },
+    path: "news/country/{country}"
+  },
+  {
+    name: "news_category",
+    description: "Get news for a specific category",
+    inputSchema: {
+      type: "object",
+      properties: {
+        category: {
+          type: "string",
+          description: "News category (e.g., 'business', 'technology', 'politics')"
+        }
+      },
+      required: ["category"]
+    },
+    path: "news/category/{category}"
+  },
+  {
+    name: "news_general",
+    description: "Get general news headlines",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+    path: "news"
+  },
+];
+
+export const sentimentTools = [
+  tickerTool("sentiment_social", "Get social media sentiment for a specific ticker (from Google, Reddit, Twitter)", "sentiment/{ticker}/social"),
+  tickerTool("sentiment_news", "Get news sentiment for a specific ticker", "sentiment/{ticker}/news"),
+  tickerTool("sentiment_analyst", "Get analyst/AI sentiment for a specific ticker", "sentiment/{ticker}/analyst"),
+];
@@ -0,0 +1,188 @@
+import { numberLookup, roundNumbers } from '../analytics/numbers.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { NotFoundError, toErrorPayload } from '../errors.js';
+import { normalizeTicker } from '../symbols.js';
+import { STOCK_TICKER } from './common.js';
+import { relatedCompanies } from './supplyChainGraph.js';
+
+const DEFAULT_MAX_PEERS = 10;
+const MAX_PEERS = 25;
+
+/**
+ * Data sources of peer_comparison and the tool each one is read from
+ */
+const SOURCES = {
+  statistics: "profiles_statistics",
+  summary: "profiles_summary",
+  esg: "esg_data",
+};
+
+/**
+ * Metrics peer_comparison can compare: the sources to read them from, in order, and their upstream field names
+ */
+export const PEER_METRICS = {
+  marketCap: { sources: ['summary', 'statistics'], keys: ['marketCap'] },
+  trailingPE: { sources: ['summary', 'statistics'], keys: ['trailingPE', 'peRatio', 'pe'] },
+  forwardPE: { sources: ['statistics', 'summary'], keys: ['forwardPE'] },
+  pegRatio: { sources: ['statistics'], keys: ['pegRatio'] },
+  priceToBook: { sources: ['statistics', 'summary'], keys: ['priceToBook'] },
+  priceToSales: { sources: ['summary', 'statistics'], keys: ['priceToSalesTrailing12Months', 'priceToSales'] },
+  enterpriseToEbitda: { sources: ['statistics'], keys: ['enterpriseToEbitda', 'evToEbitda'] },
+  enterpriseToRevenue: { sources: ['statistics'], keys: ['enterpriseToRevenue', 'evToRevenue'] },
+  profitMargin: { sources: ['statistics'], keys: ['profitMargins', 'profitMargin'] },
+  beta: { sources: ['statistics', 'summary'], keys: ['beta'] },
+  dividendYield: { sources: ['summary', 'statistics'], keys: ['dividendYield', 'trailingAnnualDividendYield'] },
+  fiftyTwoWeekChange: { sources: ['statistics'], keys: ['52WeekChange', 'fiftyTwoWeekChange'] },
+  shortRatio: { sources: ['statistics'], keys: ['shortRatio'] },
+  esgScore: { sources: ['esg'], keys: ['totalEsg', 'esgScore', 'totalScore'] },
+};
+
+const DEFAULT_METRICS = ['marketCap', 'trailingPE', 'forwardPE', 'priceToBook', 'enterpriseToEbitda', 'profitMargin', 'beta', 'dividendYield', 'esgScore'];
+
+/**
+ * Percentile rank of `value` among `values` (which include it): the share of the other values below it, counting
+ * ties as half, so the highest value is 100 and the lowest 0. Null when there is nothing to compare with.
+ */
+export function percentileRank(value, values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const below = values.filter((other) => other < value).length;
+  const ties = values.filter((other) => other === value).length - 1;
+  return ((below + 0.5 * ties) / (values.length - 1)) * 100;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Peer comparison tools
+ */
+export const peerTools = [
+  {
+    name: "peer_comparison",
+    description: "Compare a company with its supply chain peers (supply_chain_peers) on valuation, profitability, risk and ESG metrics from profiles_statistics, profiles_summary and esg_data, fetched concurrently. Returns a table of the company and its peers ranked by `sortBy`, and for each metric the company's rank and percentile among them (percentile 100 = highest value, 0 = lowest, null when no peer reports the metric; for valuation multiples and ESG risk scores lower is usually better).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: STOCK_TICKER,
+        metrics: {
+          type: "array",
+          description: `Metrics to compare (default: ${DEFAULT_METRICS.join(', ')})`,
+          items: {
+            type: "string",
+            enum: Object.keys(PEER_METRICS)
+          },
+          minItems: 1
+        },
+        maxPeers: {
+          type: "integer",
+          description: `Maximum number of peers, in the order supply_chain_peers lists them (default: ${DEFAULT_MAX_PEERS})`,
+          minimum: 1,
+          maximum: MAX_PEERS
+        },
+        sortBy: {
+          type: "string",
+          description: "Metric to rank the table by, highest first (default: the first metric)",
+          enum: Object.keys(PEER_METRICS)
+        }
+      },
+      required: ["ticker"]
+    },
+    handler: async (args, context) => {
+      const ticker = normalizeTicker(args.ticker, 'stock');
+      const metrics = [...new Set(args.metrics || DEFAULT_METRICS)];
+      const sortBy = args.sortBy || metrics[0];
+      if (!metrics.includes(sortBy)) {
+        metrics.push(sortBy);
+      }
+
+      const peers = [];
+      for (const { ticker: candidate } of relatedCompanies(await context.registry.call('supply_chain_peers', { ticker }, context))) {
+        let symbol;
+        try {
+          symbol = normalizeTicker(candidate, 'stock');
+        } catch {
+          continue;
+        }
+        if (symbol !== ticker && !peers.includes(symbol)) {
+          peers.push(symbol);
+        }
+      }
+      if (peers.length === 0) {
+        throw new NotFoundError(`No peers found for ${ticker}`, { hint: 'Check the raw response of supply_chain_peers' });
+      }
+
+      const companies = [ticker, ...peers.slice(0, args.maxPeers || DEFAULT_MAX_PEERS)];
+      const sources = Object.keys(SOURCES).filter((source) => metrics.some((metric) => PEER_METRICS[metric].sources.includes(source)));
+      const requests = companies.flatMap((company) => sources.map((source) => ({ company, source })));
+      const settled = await mapSettled(requests, config.fanoutConcurrency, ({ company, source }) => context.registry.call(SOURCES[source], { ticker: company }, context));
+
+      const lookups = new Map(companies.map((company) => [company, {}]));
+      const failures = new Map();
+      settled.forEach((result, i) => {
+        const { company, source } = requests[i];
+        if (result.status === 'fulfilled') {
+          lookups.get(company)[source] = numberLookup(result.value);
+        } else {
+          const { error } = toErrorPayload(result.reason, SOURCES[source]);
+          failures.set(company, [...(failures.get(company) || []), { tool: SOURCES[source], error: `${error.code}: ${error.message}`, reason: result.reason }]);
+        }
+      });
+      if ((failures.get(ticker) || []).length === sources.length) {
+        throw failures.get(ticker)[0].reason;
+      }
+
+      const value = (company, metric) => {
+        const { sources: order, keys } = PEER_METRICS[metric];
+        for (const source of order) {
+          const found = lookups.get(company)[source]?.(keys) ?? null;
+          if (found !== null) return found;
+        }
+        return null;
+      };
+
+      const rows = companies
+      .filter((company) => company === ticker || Object.keys(lookups.get(company)).length > 0)
+      .map((company) => ({
+        ticker: company,
+        subject: company === ticker,
+        ...Object.fromEntries(metrics.map((metric) => [metric, value(company, metric)])),
+      }))
+      .sort((a, b) => (a[sortBy] === null) - (b[sortBy] === null) || (b[sortBy] ?? 0) - (a[sortBy] ?? 0))
+      .map((row, i) => ({ rank: row[sortBy] === null ? null : i + 1, ...row }));
+
+      const subjectRow = rows.find((row) => row.subject);
+      const summary = Object.fromEntries(metrics.map((metric) => {
+        const values = rows.map((row) => row[metric]).filter((item) => item !== null);
+        const own = subjectRow[metric];
+        return [metric, {
+          value: own,
+          rank: own === null ? null : values.filter((other) => other > own).length + 1,
+          of: values.length,
+          percentile: own === null ? null : percentileRank(own, values),
+          median: values.length > 0 ? median(values) : null,
+        }];
+      }));
+
+      // One entry per company, so the error list never outgrows the table
+      const errors = [...failures.entries()].map(([company, entries]) => ({
+        ticker: company,
+        errors: Object.fromEntries(entries.map(({ tool, error }) => [tool, error])),
+      }));
+
+      // The table comes first so output shaping treats it as the main table
+      return roundNumbers({
+        ticker,
+        sortBy,
+        companies: rows,
+        subject: summary,
+        ...(errors.length > 0 && { errors }),
+      });
+    }
+  },
+];
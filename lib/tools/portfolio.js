@@ -0,0 +1,307 @@
+import { roundNumbers } from '../analytics/numbers.js';
+import { keyFingerprint } from '../auth.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { NotFoundError, toErrorPayload } from '../errors.js';
+import { createPortfolioStore } from '../portfolios.js';
+import { normalizeTicker } from '../symbols.js';
+import { SYMBOL } from './common.js';
+import { QUOTE_TOOLS, quoteRow } from './quotes.js';
+
+const MAX_POSITIONS = 200;
+
+const SECTOR_KEYS = ['sector', 'sectorDisp', 'sectorName'];
+const ESG_KEYS = ['totalEsg', 'esgScore', 'totalScore', 'esg', 'score'];
+
+// Sector label for positions that have no company profile
+const ASSET_SECTORS = {
+  etf: 'ETFs',
+  crypto: 'Crypto',
+  forex: 'Currencies',
+  future: 'Futures',
+  index: 'Indices',
+};
+
+const portfolioStore = createPortfolioStore(config.portfolioFile);
+
+const PORTFOLIO_NAME = {
+  type: "string",
+  description: "Portfolio name (e.g., 'core-book')",
+  pattern: "^[A-Za-z0-9][A-Za-z0-9 _.-]{0,63}$"
+};
+
+const CURRENCY = {
+  type: "string",
+  pattern: "^[A-Z]{3}$"
+};
+
+/**
+ * Owner scope of the calling session's portfolios
+ */
+function scopeOf(context) {
+  return keyFingerprint(context.apiKey ?? config.apiKey);
+}
+
+/**
+ * First value under one of `keys`, searching nested objects breadth-first
+ */
+function findField(payload, keys) {
+  const queue = [payload];
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (Array.isArray(value)) {
+      queue.push(...value);
+    } else if (value && typeof value === 'object') {
+      const key = keys.find((name) => value[name] !== undefined && value[name] !== null && value[name] !== '');
+      if (key !== undefined && typeof value[key] !== 'object') {
+        return value[key];
+      }
+      queue.push(...Object.values(value).filter((item) => item && typeof item === 'object'));
+    }
+  }
+  return null;
+}
+
+/**
+ * Conversion rate from one currency to another through forex_quote, trying the inverse pair when needed.
+ * Rates are memoized per valuation in `rates`.
+ */
+async function fxRate(from, to, context, rates) {
+  if (from === to) {
+    return 1;
+  }
+  const key = `${from}${to}`;
+  if (!rates.has(key)) {
+    rates.set(key, (async () => {
+      const direct = await context.registry.call('forex_quote', { ticker: `${from}${to}` }, context).then(quoteRow).catch(() => null);
+      if (direct?.price) {
+        return direct.price;
+      }
+      const inverse = await context.registry.call('forex_quote', { ticker: `${to}${from}` }, context).then(quoteRow).catch(() => null);
+      if (inverse?.price) {
+        return 1 / inverse.price;
+      }
+      throw new NotFoundError(`No FX rate for ${from}/${to}`, { hint: 'Check the position currency or use forex_tickers to find a supported pair' });
+    })());
+  }
+  return rates.get(key);
+}
+
+/**
+ * Portfolio definition and valuation tools
+ */
+export const portfolioTools = [
+  {
+    name: "portfolio_save",
+    description: "Create or replace a named portfolio of positions (quantity, cost basis per unit and currency). Portfolios are stored on the server and only visible to the same API key.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: PORTFOLIO_NAME,
+        currency: {
+          ...CURRENCY,
+          description: "Reporting currency (default: USD)"
+        },
+        positions: {
+          type: "array",
+          description: "Positions, e.g. [{\"asset\": \"stock\", \"ticker\": \"AAPL\", \"quantity\": 100, \"costBasis\": 150}, {\"asset\": \"stock\", \"ticker\": \"SAP\", \"quantity\": 50, \"costBasis\": 120, \"currency\": \"EUR\"}]",
+          items: {
+            type: "object",
+            properties: {
+              ...SYMBOL.properties,
+              quantity: {
+                type: "number",
+                description: "Units held (negative for short positions)"
+              },
+              costBasis: {
+                type: "number",
+                description: "Average cost per unit in the position currency",
+                minimum: 0
+              },
+              currency: {
+                ...CURRENCY,
+                description: "Currency the instrument is quoted in (default: USD)"
+              }
+            },
+            required: ["asset", "ticker", "quantity"],
+            additionalProperties: false
+          },
+          minItems: 1,
+          maxItems: MAX_POSITIONS
+        }
+      },
+      required: ["name", "positions"]
+    },
+    handler: async (args, context) => {
+      const positions = args.positions.map(({ asset, ticker, quantity, costBasis, currency }) => ({
+        asset,
+        ticker: normalizeTicker(ticker, asset),
+        quantity,
+        ...(costBasis !== undefined && { costBasis }),
+        currency: currency || 'USD',
+      }));
+      return portfolioStore.save(scopeOf(context), { name: args.name, currency: args.currency || 'USD', positions });
+    }
+  },
+  {
+    name: "portfolio_list",
+    description: "List saved portfolios with their positions",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          ...PORTFOLIO_NAME,
+          description: "Only return this portfolio"
+        }
+      }
+    },
+    handler: async (args, context) => {
+      if (args.name) {
+        const portfolio = await portfolioStore.get(scopeOf(context), args.name);
+        if (!portfolio) {
+          throw new NotFoundError(`Portfolio "${args.name}" not found`, { hint: 'Use portfolio_list to see saved portfolios' });
+        }
+        return portfolio;
+      }
+      return { portfolios: await portfolioStore.list(scopeOf(context)) };
+    }
+  },
+  {
+    name: "portfolio_delete",
+    description: "Delete a saved portfolio",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: PORTFOLIO_NAME
+      },
+      required: ["name"]
+    },
+    handler: async (args, context) => {
+      if (!(await portfolioStore.remove(scopeOf(context), args.name))) {
+        throw new NotFoundError(`Portfolio "${args.name}" not found`, { hint: 'Use portfolio_list to see saved portfolios' });
+      }
+      return { deleted: args.name };
+    }
+  },
+  {
+    name: "portfolio_value",
+    description: "Value a saved portfolio at current quotes in its reporting currency (FX via forex_quote): market value, cost, P&L, day change and weight per position and in total, plus sector breakdown (profiles_asset) and value-weighted ESG score (esg_data). Positions that cannot be priced are listed in `errors`.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: PORTFOLIO_NAME,
+        include: {
+          type: "array",
+          description: "Extra breakdowns to compute (default: both)",
+          items: {
+            type: "string",
+            enum: ["sectors", "esg"]
+          }
+        }
+      },
+      required: ["name"]
+    },
+    handler: async (args, context) => {
+      const portfolio = await portfolioStore.get(scopeOf(context), args.name);
+      if (!portfolio) {
+        throw new NotFoundError(`Portfolio "${args.name}" not found`, { hint: 'Use portfolio_list to see saved portfolios' });
+      }
+      const include = args.include || ['sectors', 'esg'];
+      const base = portfolio.currency;
+      const rates = new Map();
+      const equity = (asset) => asset === 'stock' || asset === 'etf';
+
+      const settled = await mapSettled(portfolio.positions, config.fanoutConcurrency, async (position) => {
+        const { asset, ticker, quantity, costBasis, currency } = position;
+        const quote = quoteRow(await context.registry.call(QUOTE_TOOLS[asset], { ticker }, context));
+        if (quote.price === null) {
+          throw new NotFoundError(`No price in the ${QUOTE_TOOLS[asset]} response for ${ticker}`);
+        }
+        const rate = await fxRate(currency, base, context, rates);
+
+        const [profile, esg] = await Promise.all([
+          include.includes('sectors') && asset === 'stock'
+            ? context.registry.call('profiles_asset', { ticker }, context).catch(() => null) : null,
+          include.includes('esg') && equity(asset)
+            ? context.registry.call('esg_data', { ticker }, context).catch(() => null) : null,
+        ]);
+
+        const marketValue = quantity * quote.price * rate;
+        const cost = costBasis === undefined ? null : quantity * costBasis * rate;
+        return {
+          asset,
+          ticker,
+          quantity,
+          currency,
+          price: quote.price,
+          fxRate: rate,
+          marketValue,
+          cost,
+          pnl: cost === null ? null : marketValue - cost,
+          pnlPercent: cost ? (marketValue - cost) / Math.abs(cost) : null,
+          dayChange: quote.change === null ? null : quantity * quote.change * rate,
+          sector: asset === 'stock' ? findField(profile, SECTOR_KEYS) ?? 'Unknown' : ASSET_SECTORS[asset],
+          esgScore: Number(findField(esg, ESG_KEYS)) || null,
+        };
+      });
+
+      const rows = settled.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+      const errors = settled
+      .map((result, i) => ({ result, position: portfolio.positions[i] }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ result, position }) => {
+        const { error } = toErrorPayload(result.reason, QUOTE_TOOLS[position.asset]);
+        return { asset: position.asset, ticker: position.ticker, error: `${error.code}: ${error.message}` };
+      });
+
+      const sum = (values) => values.reduce((total, value) => total + value, 0);
+      const marketValue = sum(rows.map((row) => row.marketValue));
+      const costed = rows.filter((row) => row.cost !== null);
+      const cost = sum(costed.map((row) => row.cost));
+      const gross = sum(rows.map((row) => Math.abs(row.marketValue)));
+      for (const row of rows) {
+        row.weight = gross ? row.marketValue / gross : null;
+      }
+
+      const result = {
+        name: portfolio.name,
+        currency: base,
+        valuedAt: new Date().toISOString(),
+        totals: {
+          marketValue,
+          cost: costed.length > 0 ? cost : null,
+          pnl: costed.length > 0 ? sum(costed.map((row) => row.pnl)) : null,
+          pnlPercent: cost ? sum(costed.map((row) => row.pnl)) / Math.abs(cost) : null,
+          dayChange: sum(rows.map((row) => row.dayChange || 0)),
+          positions: rows.length,
+        },
+        positions: rows,
+      };
+
+      if (include.includes('sectors')) {
+        const sectors = new Map();
+        for (const row of rows) {
+          sectors.set(row.sector, (sectors.get(row.sector) || 0) + row.marketValue);
+        }
+        result.sectors = [...sectors.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .map(([sector, value]) => ({ sector, marketValue: value, weight: gross ? value / gross : null }));
+      }
+
+      if (include.includes('esg')) {
+        const scored = rows.filter((row) => row.esgScore !== null);
+        const scoredValue = sum(scored.map((row) => Math.abs(row.marketValue)));
+        result.esg = {
+          score: scoredValue ? sum(scored.map((row) => row.esgScore * Math.abs(row.marketValue))) / scoredValue : null,
+          // Share of the portfolio's gross value that has an ESG score
+          coverage: gross ? scoredValue / gross : null,
+        };
+      }
+
+      if (errors.length > 0) {
+        result.errors = errors;
+      }
+      return roundNumbers(result);
+    }
+  },
+];
@@ -0,0 +1,33 @@
+import { tickerTool } from './common.js';
+
+/**
+ * Supply chain and company profile tools
+ */
+export const supplyChainTools = [
+  tickerTool("supply_chain_customers", "Get supply chain customers for a specific company by ticker symbol", "supply-chain/{ticker}/customers"),
+  tickerTool("supply_chain_peers", "Get supply chain peers (competitors) for a specific company by ticker symbol", "supply-chain/{ticker}/peers"),
+  tickerTool("supply_chain_suppliers", "Get supply chain suppliers for a specific company by ticker symbol", "supply-chain/{ticker}/suppliers"),
+];
+
+export const profileTools = [
+  tickerTool("profiles_asset", "Get asset profile information for a specific ticker", "profiles/{ticker}/asset"),
+  tickerTool("profiles_recommendation", "Get recommendation trend for a specific ticker", "profiles/{ticker}/recommendation"),
+  tickerTool("profiles_cashflow", "Get cash flow statement history for a specific ticker", "profiles/{ticker}/cashflow"),
+  tickerTool("profiles_trend_index", "Get index trend information for a specific ticker", "profiles/{ticker}/trend/index"),
+  tickerTool("profiles_statistics", "Get default key statistics for a specific ticker", "profiles/{ticker}/statistics"),
+  tickerTool("profiles_income", "Get income statement history for a specific ticker", "profiles/{ticker}/income"),
+  tickerTool("profiles_fund", "Get fund ownership data for a specific ticker", "profiles/{ticker}/fund"),
+  tickerTool("profiles_summary", "Get summary detail information for a specific ticker", "profiles/{ticker}/summary"),
+  tickerTool("profiles_insiders", "Get insider holders information for a specific ticker", "profiles/{ticker}/insiders"),
+  tickerTool("profiles_calendar", "Get calendar events for a specific ticker", "profiles/{ticker}/calendar"),
+  tickerTool("profiles_balancesheet", "Get balance sheet history for a specific ticker", "profiles/{ticker}/balancesheet"),
+  tickerTool("profiles_trend_earnings", "Get earnings trend for a specific ticker", "profiles/{ticker}/trend/earnings"),
+  tickerTool("profiles_institution", "Get institution ownership data for a specific ticker", "profiles/{ticker}/institution"),
+  tickerTool("profiles_ownership", "Get major holders breakdown for a specific ticker", "profiles/{ticker}/ownership"),
+  tickerTool("profiles_earnings", "Get earnings history for a specific ticker", "profiles/{ticker}/earnings"),
+  tickerTool("profiles_info", "Get summary profile information for a specific ticker", "profiles/{ticker}/info"),
+  tickerTool("profiles_activity", "Get net share purchase activity for a specific ticker", "profiles/{ticker}/activity"),
+  tickerTool("profiles_transactions", "Get insider transactions for a specific ticker", "profiles/{ticker}/transactions"),
+  tickerTool("profiles_financials", "Get financial data for a specific ticker", "profiles/{ticker}/financials"),
+  tickerTool("profiles_traffic", "Get website traffic data for a specific ticker", "profiles/{ticker}/traffic"),
+];
@@ -0,0 +1,148 @@
+import { toNumber } from '../analytics/numbers.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { toErrorPayload } from '../errors.js';
+import { normalizeTicker } from '../symbols.js';
+import { SYMBOL } from './common.js';
+
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Quote tool used for each asset class
+ */
+export const QUOTE_TOOLS = {
+  stock: "stocks_quote",
+  etf: "stocks_quote",
+  crypto: "crypto_quote",
+  forex: "forex_quote",
+  future: "future_quote",
+  index: "indices_quote",
+};
+
+/**
+ * Field names the quote endpoints use for each column, in order of preference
+ */
+const QUOTE_FIELDS = {
+  price: ['price', 'last', 'lastPrice', 'regularMarketPrice', 'close', 'c'],
+  previousClose: ['previousClose', 'prevClose', 'regularMarketPreviousClose', 'pc'],
+  change: ['change', 'regularMarketChange', 'd'],
+  changePercent: ['changePercent', 'change_percent', 'percentChange', 'regularMarketChangePercent', 'dp'],
+  volume: ['volume', 'regularMarketVolume', 'v'],
+  timestamp: ['timestamp', 'lastUpdated', 'updatedAt', 'regularMarketTime', 'time', 'datetime', 'date', 't'],
+};
+
+/**
+ * The quote object inside a response: unwraps `{ data: ... }` and single-element arrays
+ */
+function quoteObject(payload) {
+  let value = payload;
+  while (value && typeof value === 'object' && ('data' in value || Array.isArray(value))) {
+    value = Array.isArray(value) ? value[value.length - 1] : value.data;
+  }
+  return value && typeof value === 'object' ? value : {};
+}
+
+function pick(quote, column) {
+  const key = QUOTE_FIELDS[column].find((name) => quote[name] !== undefined && quote[name] !== null && quote[name] !== '');
+  return key === undefined ? null : quote[key];
+}
+
+/**
+ * ISO timestamp from epoch seconds, epoch milliseconds or a date string
+ */
+function toTimestamp(value) {
+  if (value === null) {
+    return null;
+  }
+  const number = toNumber(value);
+  const date = number !== null ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+/**
+ * Map one quote response onto the uniform columns, deriving change and change % from the previous close when missing
+ */
+export function quoteRow(payload) {
+  const quote = quoteObject(payload);
+  const price = toNumber(pick(quote, 'price'));
+  const previousClose = toNumber(pick(quote, 'previousClose'));
+  let change = toNumber(pick(quote, 'change'));
+  // Some feeds format the change as "1.25%"; the column is in percent either way
+  const percentText = pick(quote, 'changePercent');
+  let changePercent = toNumber(typeof percentText === 'string' ? percentText.replace('%', '') : percentText);
+
+  if (change === null && price !== null && previousClose !== null) {
+    change = price - previousClose;
+  }
+  if (changePercent === null && change !== null && previousClose) {
+    changePercent = (change / previousClose) * 100;
+  }
+
+  return {
+    price,
+    change: change === null ? null : Number(change.toFixed(6)),
+    changePercent: changePercent === null ? null : Number(changePercent.toFixed(4)),
+    volume: toNumber(pick(quote, 'volume')),
+    timestamp: toTimestamp(pick(quote, 'timestamp')),
+  };
+}
+
+/**
+ * Multi-symbol quote tools
+ */
+export const quoteTools = [
+  {
+    name: "batch_quotes",
+    description: "Get quotes for many symbols across asset classes in one call, as a uniform table of price, change, change %, volume and timestamp. Symbols that fail get an error in their row.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        symbols: {
+          type: "array",
+          description: "Symbols to quote, e.g. [{\"asset\": \"stock\", \"ticker\": \"AAPL\"}, {\"asset\": \"crypto\", \"ticker\": \"BTC\"}]",
+          items: SYMBOL,
+          minItems: 1,
+          maxItems: MAX_BATCH_SIZE
+        }
+      },
+      required: ["symbols"]
+    },
+    handler: async (args, context) => {
+      // Normalize first so that BTC-USD and BTC share one request; invalid symbols fail only their own row
+      const symbols = [];
+      const seen = new Set();
+      for (const { asset, ticker } of args.symbols) {
+        let symbol;
+        try {
+          symbol = { asset, ticker: normalizeTicker(ticker, asset) };
+        } catch (error) {
+          symbol = { asset, ticker, error };
+        }
+        const key = `${asset}:${symbol.ticker}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          symbols.push(symbol);
+        }
+      }
+
+      const settled = await mapSettled(symbols, config.fanoutConcurrency, async ({ asset, ticker, error }) => {
+        if (error) throw error;
+        return context.registry.call(QUOTE_TOOLS[asset], { ticker }, context);
+      });
+
+      const quotes = settled.map((result, i) => {
+        const { asset, ticker } = symbols[i];
+        if (result.status === 'fulfilled') {
+          return { asset, ticker, ...quoteRow(result.value) };
+        }
+        const { error } = toErrorPayload(result.reason, QUOTE_TOOLS[asset]);
+        return { asset, ticker, price: null, change: null, changePercent: null, volume: null, timestamp: null, error: `${error.code}: ${error.message}` };
+      });
+
+      return {
+        quotes,
+        failed: settled.filter((result) => result.status === 'rejected').length,
+      };
+    }
+  },
+];
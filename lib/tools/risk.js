@@ -0,0 +1,209 @@
+import { roundNumbers } from '../analytics/numbers.js';
+import { correlationMatrix, periodsPerYear, riskMetrics, simpleReturns } from '../analytics/risk.js';
+import { alignSeries, ALIGNMENT_METHODS, fetchPriceSeries, PRICE_TOOLS } from '../analytics/series.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { InvalidArgumentError, toErrorPayload } from '../errors.js';
+import { PRICE_HISTORY_PROPERTIES } from '../prices.js';
+import { normalizeTicker } from '../symbols.js';
+import { SYMBOL } from './common.js';
+
+const MAX_SYMBOLS = 20;
+const DEFAULT_ROLLING_STEP = 20;
+
+/**
+ * Matrix as one row object per symbol, so it renders as a table: [{ symbol: 'AAPL', AAPL: 1, BTC: 0.31 }, ...]
+ */
+function matrixRows(labels, matrix) {
+  return labels.map((label, i) => ({
+    symbol: label,
+    ...Object.fromEntries(labels.map((other, j) => [other, matrix[i][j] === null ? null : Number(matrix[i][j].toFixed(4))])),
+  }));
+}
+
+/**
+ * Fetch price series for several symbols. Resolves with the fetched series and an error entry for each failure.
+ */
+async function fetchAll(symbols, context, { from, to, interval }) {
+  const settled = await mapSettled(symbols, config.fanoutConcurrency, async ({ asset, ticker }) => {
+    const symbol = normalizeTicker(ticker, asset);
+    return { asset, ticker: symbol, series: await fetchPriceSeries(context, { asset, ticker: symbol, from, to, interval }) };
+  });
+
+  const fetched = [];
+  const errors = [];
+  settled.forEach((result, i) => {
+    const { asset, ticker } = symbols[i];
+    if (result.status === 'fulfilled') {
+      fetched.push(result.value);
+    } else {
+      const { error } = toErrorPayload(result.reason, PRICE_TOOLS[asset]);
+      errors.push({ asset, ticker, error: `${error.code}: ${error.message}`, reason: result.reason });
+    }
+  });
+  return { fetched, errors };
+}
+
+/**
+ * Return and risk analytics tools
+ */
+export const riskTools = [
+  {
+    name: "risk_metrics",
+    description: "Compute return and risk statistics from price history: trailing period returns, annualized return and volatility, max drawdown, Sharpe and Sortino ratios, historical VaR and expected shortfall, plus beta and correlation against an optional benchmark (e.g. {\"asset\": \"index\", \"ticker\": \"GSPC\"}). Returns and VaR are fractions (0.05 = 5%).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        symbols: {
+          type: "array",
+          description: "Symbols to analyze, e.g. [{\"asset\": \"stock\", \"ticker\": \"AAPL\"}, {\"asset\": \"crypto\", \"ticker\": \"BTC\"}]",
+          items: SYMBOL,
+          minItems: 1,
+          maxItems: MAX_SYMBOLS
+        },
+        benchmark: {
+          ...SYMBOL,
+          description: "Benchmark for beta and correlation"
+        },
+        from: PRICE_HISTORY_PROPERTIES.from,
+        to: PRICE_HISTORY_PROPERTIES.to,
+        interval: PRICE_HISTORY_PROPERTIES.interval,
+        riskFreeRate: {
+          type: "number",
+          description: "Annual risk-free rate for Sharpe and Sortino, as a fraction (default: 0)",
+          minimum: -0.1,
+          maximum: 1
+        },
+        confidence: {
+          type: "number",
+          description: "Confidence level for VaR and expected shortfall (default: 0.95)",
+          minimum: 0.5,
+          exclusiveMaximum: 1
+        }
+      },
+      required: ["symbols"]
+    },
+    handler: async (args, context) => {
+      const { from, to, interval } = args;
+      const riskFreeRate = args.riskFreeRate ?? 0;
+      const confidence = args.confidence ?? 0.95;
+      const targets = args.benchmark ? [...args.symbols, args.benchmark] : args.symbols;
+
+      const settled = await mapSettled(targets, config.fanoutConcurrency, async ({ asset, ticker }) => {
+        const symbol = normalizeTicker(ticker, asset);
+        return { ticker: symbol, series: await fetchPriceSeries(context, { asset, ticker: symbol, from, to, interval }) };
+      });
+
+      const rowFor = ({ asset, ticker }, result, benchmark) => {
+        if (result.status === 'rejected') {
+          const { error } = toErrorPayload(result.reason, PRICE_TOOLS[asset]);
+          return { asset, ticker, error: `${error.code}: ${error.message}` };
+        }
+        const metrics = riskMetrics(result.value.series, {
+          periods: periodsPerYear(interval, asset),
+          riskFreeRate,
+          confidence,
+          benchmark,
+        });
+        return { asset, ticker: result.value.ticker, ...roundNumbers(metrics) };
+      };
+
+      let benchmark = null;
+      let benchmarkSeries;
+      if (args.benchmark) {
+        const result = settled[settled.length - 1];
+        benchmark = rowFor(args.benchmark, result);
+        benchmarkSeries = result.status === 'fulfilled' ? result.value.series : undefined;
+      }
+
+      return {
+        interval: interval || 'daily',
+        riskFreeRate,
+        confidence,
+        ...(benchmark && { benchmark }),
+        metrics: args.symbols.map((symbol, i) => rowFor(symbol, settled[i], benchmarkSeries)),
+      };
+    }
+  },
+  {
+    name: "correlation_matrix",
+    description: "Compute the correlation matrix of returns across stocks, ETFs, crypto, forex, futures and indices. Histories are aligned on a common calendar first (crypto trades on weekends and holidays, equities do not). Returns the full-period matrix, or with `window` a rolling matrix every `step` bars.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        symbols: {
+          type: "array",
+          description: "Symbols to correlate, e.g. [{\"asset\": \"stock\", \"ticker\": \"SPY\"}, {\"asset\": \"crypto\", \"ticker\": \"BTC\"}, {\"asset\": \"forex\", \"ticker\": \"EURUSD\"}]",
+          items: SYMBOL,
+          minItems: 2,
+          maxItems: MAX_SYMBOLS
+        },
+        from: PRICE_HISTORY_PROPERTIES.from,
+        to: PRICE_HISTORY_PROPERTIES.to,
+        interval: PRICE_HISTORY_PROPERTIES.interval,
+        alignment: {
+          type: "string",
+          description: "'intersection' (default) keeps only dates every symbol traded; 'forward-fill' keeps every date and carries the last close over non-trading days (adds zero returns on those days)",
+          enum: ALIGNMENT_METHODS
+        },
+        window: {
+          type: "integer",
+          description: "Rolling window in bars; when set, returns a rolling correlation matrix instead of the full-period one",
+          minimum: 5,
+          maximum: 1000
+        },
+        step: {
+          type: "integer",
+          description: `Bars between rolling matrices (default: ${DEFAULT_ROLLING_STEP})`,
+          minimum: 1
+        }
+      },
+      required: ["symbols"]
+    },
+    handler: async (args, context) => {
+      const alignment = args.alignment || 'intersection';
+      const { fetched, errors } = await fetchAll(args.symbols, context, args);
+      if (fetched.length < 2) {
+        throw errors[0].reason;
+      }
+
+      // Label by ticker, adding the asset class only where two symbols share a ticker
+      const labels = fetched.map(({ asset, ticker }) => (fetched.filter((other) => other.ticker === ticker).length > 1 ? `${asset}:${ticker}` : ticker));
+      const { dates, closes } = alignSeries(fetched.map(({ series }) => series), { method: alignment });
+      const returns = closes.map(simpleReturns);
+      const returnDates = dates.slice(1);
+
+      const result = {
+        interval: args.interval || 'daily',
+        alignment,
+        start: dates[0] ?? null,
+        end: dates[dates.length - 1] ?? null,
+        observations: returnDates.length,
+      };
+      const details = {
+        symbols: fetched.map(({ asset, ticker, series }, i) => ({ symbol: labels[i], asset, ticker, bars: series.length })),
+        ...(errors.length > 0 && { errors: errors.map(({ reason, ...entry }) => entry) }),
+      };
+
+      // The matrix comes before the symbol list so output shaping treats it as the main table
+      if (!args.window) {
+        return { ...result, matrix: matrixRows(labels, correlationMatrix(returns)), ...details };
+      }
+
+      if (args.window > returnDates.length) {
+        throw new InvalidArgumentError(`window (${args.window}) is longer than the ${returnDates.length} aligned returns available`, {
+          details: [{ field: 'window', message: `must be at most ${returnDates.length} for this date range` }],
+          hint: 'Use a smaller window, a longer date range or alignment "forward-fill"',
+        });
+      }
+      const step = args.step || DEFAULT_ROLLING_STEP;
+      const rolling = [];
+      // Anchor on the latest bar so the most recent matrix is always included
+      for (let end = returnDates.length; end >= args.window; end -= step) {
+        const windowReturns = returns.map((series) => series.slice(end - args.window, end));
+        rolling.unshift({ date: returnDates[end - 1], matrix: matrixRows(labels, correlationMatrix(windowReturns)) });
+      }
+      return { ...result, window: args.window, step, rolling, ...details };
+    }
+  },
+];
@@ -0,0 +1,83 @@
+import { keyFingerprint } from '../auth.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { toErrorPayload } from '../errors.js';
+import { createSymbolIndex, UNIVERSES } from '../symbolIndex.js';
+
+const DEFAULT_RESULTS = 10;
+const MAX_RESULTS = 50;
+
+// One index per API key scope, so clients of a shared HTTP instance never search universes loaded with another key
+const symbolIndexes = new Map();
+
+/**
+ * Symbol index of the API key a tool call runs with
+ */
+function symbolIndexFor(context) {
+  const scope = keyFingerprint(context.apiKey ?? config.apiKey);
+  if (!symbolIndexes.has(scope)) {
+    symbolIndexes.set(scope, createSymbolIndex({ ttlSeconds: config.symbolIndexTtl }));
+  }
+  return symbolIndexes.get(scope);
+}
+
+/**
+ * Symbol search tools
+ */
+export const searchTools = [
+  {
+    name: "symbol_search",
+    description: "Find ticker symbols by company, asset or currency name (e.g. 'Nvidia', 'Euro dollar', 'Bitcoin') or partial ticker, across stocks, crypto, forex, futures and indices. Returns ranked matches with asset class, exchange and country. Use it before quote or price tools when the exact symbol is not known.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Name or ticker to look for",
+          minLength: 1,
+          maxLength: 100
+        },
+        assetClasses: {
+          type: "array",
+          description: `Asset classes to search (default: all): ${Object.keys(UNIVERSES).join(', ')}`,
+          items: {
+            type: "string",
+            enum: Object.keys(UNIVERSES)
+          },
+          minItems: 1
+        },
+        maxResults: {
+          type: "integer",
+          description: `Maximum number of matches (default: ${DEFAULT_RESULTS})`,
+          minimum: 1,
+          maximum: MAX_RESULTS
+        }
+      },
+      required: ["query"]
+    },
+    handler: async (args, context) => {
+      const assetClasses = [...new Set(args.assetClasses || Object.keys(UNIVERSES))];
+      const symbolIndex = symbolIndexFor(context);
+      const load = (toolName) => context.registry.call(toolName, {}, context);
+      const settled = await mapSettled(assetClasses, config.fanoutConcurrency, (assetClass) => symbolIndex.entries(assetClass, load));
+
+      const errors = {};
+      settled.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          const { error } = toErrorPayload(result.reason, UNIVERSES[assetClasses[i]]);
+          errors[assetClasses[i]] = `${error.code}: ${error.message}`;
+        }
+      });
+      if (Object.keys(errors).length === assetClasses.length) {
+        throw settled[0].reason;
+      }
+
+      const entryLists = settled.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+      return {
+        query: args.query,
+        matches: symbolIndex.search(entryLists, args.query, { limit: args.maxResults || DEFAULT_RESULTS }),
+        ...(Object.keys(errors).length > 0 && { errors }),
+      };
+    }
+  },
+];
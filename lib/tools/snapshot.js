@@ -0,0 +1,300 @@
+import { normalizeName, numberLookup, roundNumbers } from '../analytics/numbers.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { toErrorPayload } from '../errors.js';
+import { normalizeTicker } from '../symbols.js';
+import { STOCK_TICKER } from './common.js';
+import { relatedCompanies } from './supplyChainGraph.js';
+
+const DATE_KEYS = ['date', 'reportDate', 'fiscalDateEnding', 'period', 'quarter'];
+const RATING_SCALE = ['strongBuy', 'buy', 'hold', 'sell', 'strongSell'];
+
+/**
+ * Drop empty values and unwrap `{ data: ... }` envelopes
+ */
+export function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact).filter((item) => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === 'data') {
+      return compact(value.data);
+    }
+    const entries = Object.entries(value)
+    .map(([key, item]) => [key, compact(item)])
+    .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
+
+/**
+ * Look up text fields of a payload by name, wherever they are nested (like numberLookup)
+ */
+function textLookup(payload) {
+  const values = new Map();
+  const visit = (value) => {
+    if (!value || typeof value !== 'object') return;
+    for (const [key, item] of Object.entries(value)) {
+      if (typeof item === 'string' && item.trim() !== '') {
+        if (!values.has(normalizeName(key))) values.set(normalizeName(key), item.trim());
+      } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+        visit(item);
+      }
+    }
+  };
+  visit(payload);
+  return (names) => names.map((name) => values.get(normalizeName(name))).find((item) => item !== undefined) ?? null;
+}
+
+/**
+ * The first list of objects in a payload, breadth-first (e.g. `earningsChart.quarterly`)
+ */
+function periodEntries(payload) {
+  const queue = [payload];
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (Array.isArray(value)) {
+      const entries = value.filter((item) => item && typeof item === 'object' && !Array.isArray(item));
+      if (entries.length > 0) return entries;
+    } else if (value && typeof value === 'object') {
+      queue.push(...Object.values(value));
+    }
+  }
+  return [];
+}
+
+/**
+ * Sort key of a period label: a timestamp for dates, `2024Q1` for quarters written `1Q2024`, the label otherwise
+ * (so "0m" sorts after "-1m")
+ */
+function periodOrder(label) {
+  const time = Date.parse(label);
+  if (!Number.isNaN(time)) return time;
+  const quarter = /^([1-4])Q(\d{4})$/i.exec(String(label));
+  return quarter ? `${quarter[2]}Q${quarter[1]}` : String(label);
+}
+
+/**
+ * The latest entry of a payload that lists periods (earnings quarters, recommendation months), by period when the
+ * entries have one, otherwise the first; the payload itself when it has no list
+ */
+function latestEntry(payload) {
+  const entries = periodEntries(payload);
+  if (entries.length === 0) {
+    return payload;
+  }
+  const dateKey = DATE_KEYS.find((key) => entries.every((entry) => entry[key] !== undefined));
+  if (!dateKey) {
+    return entries[0];
+  }
+  return entries.reduce((latest, entry) => (periodOrder(entry[dateKey]) > periodOrder(latest[dateKey]) ? entry : latest));
+}
+
+/**
+ * Pick fields from a payload: `texts` and `numbers` map each output field to upstream names in order of preference
+ */
+function pick(payload, { texts = {}, numbers = {} }) {
+  const text = textLookup(payload);
+  const number = numberLookup(payload);
+  return {
+    ...Object.fromEntries(Object.entries(texts).map(([field, names]) => [field, text(names)])),
+    ...Object.fromEntries(Object.entries(numbers).map(([field, names]) => [field, number(names)])),
+  };
+}
+
+/**
+ * Sections of company_snapshot: the tool each one is read from and the fields it is reduced to
+ */
+export const SNAPSHOT_SECTIONS = {
+  info: {
+    tool: "profiles_info",
+    summarize: (payload) => pick(payload, {
+      texts: {
+        name: ['longName', 'name', 'shortName', 'companyName'],
+        sector: ['sector', 'sectorDisp'],
+        industry: ['industry', 'industryDisp'],
+        country: ['country'],
+        website: ['website'],
+      },
+      numbers: { employees: ['fullTimeEmployees', 'employees'] },
+    }),
+  },
+  statistics: {
+    tool: "profiles_statistics",
+    summarize: (payload) => pick(payload, {
+      numbers: {
+        enterpriseValue: ['enterpriseValue'],
+        forwardPE: ['forwardPE'],
+        pegRatio: ['pegRatio'],
+        priceToBook: ['priceToBook'],
+        enterpriseToEbitda: ['enterpriseToEbitda', 'evToEbitda'],
+        profitMargin: ['profitMargins', 'profitMargin'],
+        beta: ['beta'],
+        sharesOutstanding: ['sharesOutstanding'],
+        fiftyTwoWeekChange: ['52WeekChange', 'fiftyTwoWeekChange'],
+      },
+    }),
+  },
+  summary: {
+    tool: "profiles_summary",
+    summarize: (payload) => pick(payload, {
+      texts: { currency: ['currency'] },
+      numbers: {
+        price: ['regularMarketPrice', 'currentPrice', 'price', 'previousClose'],
+        marketCap: ['marketCap'],
+        trailingPE: ['trailingPE', 'peRatio', 'pe'],
+        trailingEps: ['trailingEps', 'eps'],
+        dividendYield: ['dividendYield', 'trailingAnnualDividendYield'],
+        fiftyTwoWeekLow: ['fiftyTwoWeekLow'],
+        fiftyTwoWeekHigh: ['fiftyTwoWeekHigh'],
+      },
+    }),
+  },
+  earnings: {
+    tool: "profiles_earnings",
+    summarize: (payload) => {
+      const latest = pick(latestEntry(payload), {
+        texts: { period: DATE_KEYS },
+        numbers: {
+          epsActual: ['epsActual', 'actual', 'reportedEPS', 'eps'],
+          epsEstimate: ['epsEstimate', 'estimate', 'estimatedEPS'],
+          surprisePercent: ['surprisePercent', 'epsSurprisePercent', 'surprise'],
+        },
+      });
+      if (latest.surprisePercent === null && latest.epsActual !== null && latest.epsEstimate) {
+        latest.surprisePercent = ((latest.epsActual - latest.epsEstimate) / Math.abs(latest.epsEstimate)) * 100;
+      }
+      return latest;
+    },
+  },
+  recommendation: {
+    tool: "profiles_recommendation",
+    summarize: (payload) => {
+      const latest = pick(latestEntry(payload), {
+        texts: { consensus: ['recommendationKey', 'consensus', 'rating', 'recommendation'] },
+        numbers: {
+          meanRating: ['recommendationMean', 'ratingMean', 'mean'],
+          analysts: ['numberOfAnalystOpinions', 'numberOfAnalysts', 'analystCount'],
+          targetMeanPrice: ['targetMeanPrice', 'targetPrice', 'priceTarget'],
+          strongBuy: ['strongBuy'],
+          buy: ['buy'],
+          hold: ['hold'],
+          sell: ['sell'],
+          strongSell: ['strongSell'],
+        },
+      });
+      // Monthly trends only have the vote counts: rate them 1 (strong buy) to 5 (strong sell)
+      const votes = RATING_SCALE.map((key) => latest[key] ?? 0);
+      const total = votes.reduce((sum, count) => sum + count, 0);
+      if (latest.meanRating === null && total > 0) {
+        latest.meanRating = votes.reduce((sum, count, i) => sum + count * (i + 1), 0) / total;
+      }
+      if (latest.analysts === null && total > 0) {
+        latest.analysts = total;
+      }
+      if (latest.consensus === null && latest.meanRating !== null) {
+        latest.consensus = RATING_SCALE[Math.min(4, Math.max(0, Math.round(latest.meanRating) - 1))];
+      }
+      return latest;
+    },
+  },
+  esg: {
+    tool: "esg_data",
+    summarize: (payload) => pick(payload, {
+      texts: { riskCategory: ['esgPerformance', 'riskCategory', 'rating'] },
+      numbers: {
+        totalEsg: ['totalEsg', 'esgScore', 'totalScore'],
+        environment: ['environmentScore', 'environmentalScore'],
+        social: ['socialScore'],
+        governance: ['governanceScore'],
+        controversy: ['highestControversy', 'controversyLevel'],
+      },
+    }),
+  },
+  sentiment: {
+    tool: "sentiment_news",
+    summarize: (payload) => {
+      const scoreKeys = ['sentimentScore', 'score', 'sentiment', 'compound', 'averageSentiment'];
+      const overall = pick(payload, {
+        texts: { label: ['sentimentLabel', 'label', 'overall'] },
+        numbers: { score: scoreKeys, articles: ['articleCount', 'count', 'total'] },
+      });
+      // Article lists without an overall figure are averaged
+      const articles = periodEntries(payload);
+      const scores = articles.map((article) => numberLookup(article)(scoreKeys)).filter((score) => score !== null);
+      if (overall.score === null && scores.length > 0) {
+        overall.score = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+      }
+      if (overall.articles === null && articles.length > 0) {
+        overall.articles = articles.length;
+      }
+      return overall;
+    },
+  },
+  peers: {
+    tool: "supply_chain_peers",
+    summarize: (payload, ticker) => {
+      const tickers = [];
+      for (const { ticker: candidate } of relatedCompanies(payload)) {
+        let symbol;
+        try {
+          symbol = normalizeTicker(candidate, 'stock');
+        } catch {
+          continue;
+        }
+        if (symbol !== ticker && !tickers.includes(symbol)) tickers.push(symbol);
+      }
+      return { tickers };
+    },
+  },
+};
+
+/**
+ * Composite tools that combine several endpoints
+ */
+export const snapshotTools = [
+  {
+    name: "company_snapshot",
+    description: "Get a compact company overview in one call: name and sector, valuation (market cap, P/E, price to book), the latest EPS surprise, the analyst consensus and price target, ESG risk scores, news sentiment and peer tickers. Every section has a fixed set of fields (null when the upstream data lacks one); use the profiles_* tools for the full data. Sections that fail are reported in `errors` while the rest are returned.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: STOCK_TICKER,
+        sections: {
+          type: "array",
+          description: `Sections to include (default: all): ${Object.keys(SNAPSHOT_SECTIONS).join(', ')}`,
+          items: {
+            type: "string",
+            enum: Object.keys(SNAPSHOT_SECTIONS)
+          },
+          minItems: 1
+        }
+      },
+      required: ["ticker"]
+    },
+    handler: async (args, context) => {
+      const ticker = normalizeTicker(args.ticker, 'stock');
+      const sections = [...new Set(args.sections || Object.keys(SNAPSHOT_SECTIONS))];
+
+      const settled = await mapSettled(sections, config.fanoutConcurrency, (section) => context.registry.call(SNAPSHOT_SECTIONS[section].tool, { ticker }, context));
+
+      const snapshot = { ticker, sections: {}, errors: {} };
+      settled.forEach((result, i) => {
+        const section = sections[i];
+        if (result.status === 'fulfilled') {
+          snapshot.sections[section] = roundNumbers(SNAPSHOT_SECTIONS[section].summarize(result.value, ticker));
+        } else {
+          snapshot.errors[section] = toErrorPayload(result.reason, SNAPSHOT_SECTIONS[section].tool).error;
+        }
+      });
+
+      if (Object.keys(snapshot.sections).length === 0) {
+        throw settled[0].reason;
+      }
+      snapshot.partial = Object.keys(snapshot.errors).length > 0;
+      return snapshot;
+    }
+  },
+];
@@ -0,0 +1,128 @@
+import { numberLookup, roundNumbers } from '../analytics/numbers.js';
+import { periodRatios, previousPeriod, yearAgo } from '../analytics/ratios.js';
+import { mergeStatements, parseStatement } from '../analytics/statements.js';
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { NotFoundError, toErrorPayload } from '../errors.js';
+import { normalizeTicker } from '../symbols.js';
+import { STOCK_TICKER } from './common.js';
+
+/**
+ * Statements of financial_statements and the tool each one is read from
+ */
+const STATEMENT_TOOLS = {
+  income: "profiles_income",
+  balance: "profiles_balancesheet",
+  cashFlow: "profiles_cashflow",
+};
+
+// Trailing figures, and the summary for market capitalization
+const SNAPSHOT_TOOLS = ["profiles_financials", "profiles_summary"];
+
+const CURRENCY_KEYS = ['financialCurrency', 'currency', 'reportedCurrency'];
+
+/**
+ * First currency code found in any of the payloads
+ */
+function findCurrency(payloads) {
+  const queue = [...payloads];
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (value && typeof value === 'object') {
+      const key = CURRENCY_KEYS.find((name) => typeof value[name] === 'string' && /^[A-Z]{3}$/.test(value[name]));
+      if (key) return value[key];
+      queue.push(...Object.values(value));
+    }
+  }
+  return null;
+}
+
+/**
+ * Trailing twelve months free cash flow: the reported trailing figure, the last four quarters or the last fiscal year
+ */
+function trailingFreeCashFlow(reported, periods) {
+  if (reported !== null) {
+    return { value: reported, basis: 'reported' };
+  }
+  const quarters = periods.filter(({ frequency, cashFlow }) => frequency === 'quarterly' && cashFlow.freeCashFlow !== null).slice(0, 4);
+  if (quarters.length === 4 && Date.parse(quarters[0].endDate) - Date.parse(quarters[3].endDate) < 300 * 86400000) {
+    return { value: quarters.reduce((sum, { cashFlow }) => sum + cashFlow.freeCashFlow, 0), basis: 'last 4 quarters' };
+  }
+  const year = periods.find(({ frequency, cashFlow }) => frequency === 'annual' && cashFlow.freeCashFlow !== null);
+  return year ? { value: year.cashFlow.freeCashFlow, basis: `fiscal year ending ${year.endDate}` } : { value: null, basis: null };
+}
+
+/**
+ * Financial statement tools
+ */
+export const statementTools = [
+  {
+    name: "financial_statements",
+    description: "Get a company's income statement, balance sheet and cash flow statement normalized to a standard chart of accounts, with annual and quarterly periods (newest first) and derived ratios per period: margins, ROE/ROA/ROIC, leverage, liquidity and year-over-year growth. Also returns trailing market cap, free cash flow and FCF yield. Ratios are fractions (0.25 = 25%); quarterly returns are not annualized.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: STOCK_TICKER,
+        frequency: {
+          type: "string",
+          description: "Only return annual or quarterly periods (default: both)",
+          enum: ["annual", "quarterly"]
+        }
+      },
+      required: ["ticker"]
+    },
+    handler: async (args, context) => {
+      const ticker = normalizeTicker(args.ticker, 'stock');
+      const tools = [...Object.values(STATEMENT_TOOLS), ...SNAPSHOT_TOOLS];
+      const settled = await mapSettled(tools, config.fanoutConcurrency, (tool) => context.registry.call(tool, { ticker }, context));
+      const payloads = Object.fromEntries(settled.map((result, i) => [tools[i], result.status === 'fulfilled' ? result.value : null]));
+      const errors = settled
+      .map((result, i) => ({ result, tool: tools[i] }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ result, tool }) => {
+        const { error } = toErrorPayload(result.reason, tool);
+        return { tool, error: `${error.code}: ${error.message}` };
+      });
+
+      const statements = Object.fromEntries(Object.entries(STATEMENT_TOOLS).map(([statement, tool]) => [statement, payloads[tool] ? parseStatement(payloads[tool], statement) : []]));
+      const all = mergeStatements(statements);
+      if (all.length === 0) {
+        const failed = settled.slice(0, Object.keys(STATEMENT_TOOLS).length).find((result) => result.status === 'rejected');
+        throw failed?.reason || new NotFoundError(`No financial statement periods found for ${ticker}`, {
+          hint: 'Check the raw responses of profiles_income, profiles_balancesheet and profiles_cashflow',
+        });
+      }
+
+      const periods = all
+      .filter(({ frequency }) => !args.frequency || frequency === args.frequency)
+      .map((period) => ({
+        ...period,
+        ratios: periodRatios(period, { previous: previousPeriod(all, period), prior: yearAgo(all, period) }),
+      }));
+
+      const financials = numberLookup(payloads.profiles_financials);
+      const summary = numberLookup(payloads.profiles_summary);
+      const marketCap = financials(['marketCap']) ?? summary(['marketCap']);
+      const freeCashFlow = trailingFreeCashFlow(financials(['freeCashflow', 'freeCashFlow']), all);
+
+      return roundNumbers({
+        ticker,
+        currency: findCurrency([payloads.profiles_financials, ...Object.values(STATEMENT_TOOLS).map((tool) => payloads[tool])]),
+        trailing: {
+          price: financials(['currentPrice', 'regularMarketPrice']) ?? summary(['regularMarketPrice', 'previousClose']),
+          marketCap,
+          revenue: financials(['totalRevenue', 'revenue']),
+          ebitda: financials(['ebitda']),
+          operatingCashFlow: financials(['operatingCashflow', 'operatingCashFlow']),
+          freeCashFlow: freeCashFlow.value,
+          freeCashFlowBasis: freeCashFlow.basis,
+          fcfYield: freeCashFlow.value !== null && marketCap ? freeCashFlow.value / marketCap : null,
+          cash: financials(['totalCash']),
+          debt: financials(['totalDebt']),
+        },
+        periods,
+        ...(errors.length > 0 && { errors }),
+      });
+    }
+  },
+];
@@ -0,0 +1,268 @@
+import { mapSettled } from '../concurrency.js';
+import { config } from '../config.js';
+import { toErrorPayload } from '../errors.js';
+import { normalizeTicker } from '../symbols.js';
+import { STOCK_TICKER } from './common.js';
+
+const DEFAULT_DEPTH = 2;
+const MAX_DEPTH = 4;
+const DEFAULT_MAX_NODES = 50;
+const MAX_NODES = 300;
+
+/**
+ * Relations walked by supply_chain_graph: the tool that lists them and which way the edge points.
+ * Edges run from supplier to customer; peer edges are undirected.
+ */
+const RELATIONS = {
+  suppliers: { tool: "supply_chain_suppliers", edge: (node, other) => ({ from: other, to: node, relation: 'supplies' }) },
+  customers: { tool: "supply_chain_customers", edge: (node, other) => ({ from: node, to: other, relation: 'supplies' }) },
+  peers: { tool: "supply_chain_peers", edge: (node, other) => ({ from: node, to: other, relation: 'peer' }) },
+};
+
+/**
+ * Relations expanded for each direction
+ */
+const DIRECTIONS = {
+  upstream: ['suppliers'],
+  downstream: ['customers'],
+  both: ['suppliers', 'customers'],
+  peers: ['peers'],
+};
+
+const TICKER_KEYS = ['ticker', 'symbol', 'peer'];
+const NAME_KEYS = ['name', 'companyName', 'company', 'title'];
+// Lists of companies; an object holding one describes the subject company, not a related one
+const LIST_KEYS = ['peers', 'suppliers', 'customers', 'companies', 'results', 'items'];
+
+/**
+ * Companies listed in a supply chain payload (suppliers, customers or peers) as `[{ ticker, name }]`, in the order
+ * listed. Companies without a ticker (e.g. private suppliers) keep their name and a null ticker.
+ */
+export function relatedCompanies(payload) {
+  const found = [];
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      found.push({ ticker: value, name: null });
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      // { ticker: 'AAPL', peers: [...] }
+      const listKey = LIST_KEYS.find((key) => Array.isArray(value[key]));
+      const tickerKey = TICKER_KEYS.find((key) => typeof value[key] === 'string' && value[key] !== '');
+      const nameKey = NAME_KEYS.find((key) => typeof value[key] === 'string' && value[key] !== '');
+      if (listKey) {
+        visit(value[listKey]);
+      } else if (tickerKey || nameKey) {
+        found.push({ ticker: tickerKey ? value[tickerKey] : null, name: nameKey ? value[nameKey] : null });
+      } else {
+        Object.values(value).filter((item) => item && typeof item === 'object').forEach(visit);
+      }
+    }
+  };
+  visit(payload?.data ?? payload);
+  return found;
+}
+
+/**
+ * Strongly connected components with more than one node (Tarjan), i.e. the groups of companies that supply each
+ * other in a loop. Peer edges are ignored.
+ */
+export function findCycles(nodeIds, edges) {
+  const next = new Map(nodeIds.map((id) => [id, []]));
+  for (const { from, to, relation } of edges) {
+    if (relation !== 'peer') next.get(from).push(to);
+  }
+
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const connect = (id) => {
+    index.set(id, counter);
+    low.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    for (const other of next.get(id)) {
+      if (!index.has(other)) {
+        connect(other);
+        low.set(id, Math.min(low.get(id), low.get(other)));
+      } else if (onStack.has(other)) {
+        low.set(id, Math.min(low.get(id), index.get(other)));
+      }
+    }
+    if (low.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1) components.push(component.sort());
+    }
+  };
+
+  for (const id of nodeIds) {
+    if (!index.has(id)) connect(id);
+  }
+  return components;
+}
+
+function quote(text) {
+  return `"${String(text).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Mermaid flowchart of the graph, left to right
+ */
+export function toMermaid(nodes, edges) {
+  const ids = new Map(nodes.map((node, i) => [node.id, `n${i}`]));
+  const label = (text) => `"${String(text).replace(/"/g, '#quot;')}"`;
+  const lines = ['graph LR'];
+  for (const node of nodes) {
+    lines.push(`  ${ids.get(node.id)}[${label(node.ticker && node.name ? `${node.ticker}<br/>${node.name}` : node.id)}]`);
+  }
+  for (const { from, to, relation } of edges) {
+    lines.push(relation === 'peer' ? `  ${ids.get(from)} -. peer .- ${ids.get(to)}` : `  ${ids.get(from)} --> ${ids.get(to)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Graphviz DOT source of the graph
+ */
+export function toDot(nodes, edges) {
+  const lines = ['digraph supply_chain {', '  rankdir=LR;'];
+  for (const node of nodes) {
+    lines.push(`  ${quote(node.id)} [label=${quote(node.ticker && node.name ? `${node.ticker}\\n${node.name}` : node.id)}];`);
+  }
+  for (const { from, to, relation } of edges) {
+    lines.push(`  ${quote(from)} -> ${quote(to)}${relation === 'peer' ? ' [style=dashed, dir=none, label="peer"]' : ''};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Multi-hop supply chain tools
+ */
+export const supplyChainGraphTools = [
+  {
+    name: "supply_chain_graph",
+    description: "Walk the supply chain of a company over several hops, breadth-first: suppliers (upstream), customers (downstream), both, or peers. Companies are visited once, loops are reported under `cycles`, and the walk stops at `maxNodes`. Returns the graph as `nodes` and `edges` (supplier -> customer) plus a Mermaid or DOT diagram, e.g. to see who is exposed if a supplier stalls.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ticker: STOCK_TICKER,
+        depth: {
+          type: "integer",
+          description: `Number of hops from the company (default: ${DEFAULT_DEPTH})`,
+          minimum: 1,
+          maximum: MAX_DEPTH
+        },
+        direction: {
+          type: "string",
+          description: "'downstream' follows customers, 'upstream' follows suppliers, 'both' follows each side outward, 'peers' follows competitors (default: both)",
+          enum: Object.keys(DIRECTIONS)
+        },
+        maxNodes: {
+          type: "integer",
+          description: `Maximum number of companies in the graph (default: ${DEFAULT_MAX_NODES})`,
+          minimum: 2,
+          maximum: MAX_NODES
+        },
+        diagram: {
+          type: "string",
+          description: "Diagram to include (default: mermaid)",
+          enum: ["mermaid", "dot", "none"]
+        }
+      },
+      required: ["ticker"]
+    },
+    handler: async (args, context) => {
+      const root = normalizeTicker(args.ticker, 'stock');
+      const direction = args.direction || 'both';
+      const depth = args.depth || DEFAULT_DEPTH;
+      const maxNodes = args.maxNodes || DEFAULT_MAX_NODES;
+      const diagram = args.diagram || 'mermaid';
+
+      const nodes = new Map([[root, { id: root, ticker: root, name: null, depth: 0 }]]);
+      const edges = new Map();
+      const errors = [];
+      let truncated = false;
+      // Each company is expanded along the relations it was reached by, so 'both' fans out from the root
+      // instead of walking back down from every supplier
+      let frontier = [{ id: root, relations: DIRECTIONS[direction] }];
+
+      for (let level = 1; level <= depth && frontier.length > 0; level++) {
+        const requests = frontier.flatMap(({ id, relations }) => relations.map((relation) => ({ id, relation })));
+        const settled = await mapSettled(requests, config.fanoutConcurrency, ({ id, relation }) => context.registry.call(RELATIONS[relation].tool, { ticker: id }, context));
+
+        const next = [];
+        settled.forEach((result, i) => {
+          const { id, relation } = requests[i];
+          if (result.status === 'rejected') {
+            const { error } = toErrorPayload(result.reason, RELATIONS[relation].tool);
+            // A company with no recorded relations is a leaf, not a failure
+            if (error.code !== 'NOT_FOUND' || id === root) {
+              errors.push({ ticker: id, tool: RELATIONS[relation].tool, error: `${error.code}: ${error.message}`, reason: result.reason });
+            }
+            return;
+          }
+
+          for (const company of relatedCompanies(result.value)) {
+            let ticker = null;
+            if (company.ticker) {
+              try {
+                ticker = normalizeTicker(company.ticker, 'stock');
+              } catch {
+                ticker = null;
+              }
+            }
+            const other = ticker || company.name || company.ticker;
+            if (other === id) continue;
+
+            if (!nodes.has(other)) {
+              if (nodes.size >= maxNodes) {
+                truncated = true;
+                continue;
+              }
+              nodes.set(other, { id: other, ticker, name: company.name, depth: level });
+              if (ticker) next.push({ id: other, relations: [relation] });
+            } else if (company.name && !nodes.get(other).name) {
+              nodes.get(other).name = company.name;
+            }
+
+            const edge = RELATIONS[relation].edge(id, other);
+            const key = edge.relation === 'peer' ? `peer:${[edge.from, edge.to].sort().join(':')}` : `${edge.from}->${edge.to}`;
+            if (!edges.has(key)) edges.set(key, edge);
+          }
+        });
+        frontier = next;
+      }
+
+      if (nodes.size === 1 && errors.length > 0) {
+        throw errors[0].reason;
+      }
+
+      const nodeList = [...nodes.values()];
+      const edgeList = [...edges.values()];
+      return {
+        ticker: root,
+        direction,
+        depth,
+        nodes: nodeList,
+        edges: edgeList,
+        cycles: findCycles(nodeList.map(({ id }) => id), edgeList),
+        truncated,
+        ...(errors.length > 0 && { errors: errors.map(({ reason, ...entry }) => entry) }),
+        ...(diagram === 'mermaid' && { mermaid: toMermaid(nodeList, edgeList) }),
+        ...(diagram === 'dot' && { dot: toDot(nodeList, edgeList) }),
+      };
+    }
+  },
+];
@@ -0,0 +1,199 @@
+import { bollinger, ema, lastCrossover, macd, rsi, sma } from '../analytics/indicators.js';
+import { fetchPriceSeries } from '../analytics/series.js';
+import { InvalidArgumentError } from '../errors.js';
+import { PRICE_HISTORY_PROPERTIES } from '../prices.js';
+import { ASSET_CLASSES, normalizeTicker } from '../symbols.js';
+
+export const INDICATORS = ['sma', 'ema', 'rsi', 'macd', 'bollinger'];
+
+const DEFAULT_PARAMS = {
+  smaPeriod: 20,
+  emaPeriod: 20,
+  rsiPeriod: 14,
+  rsiOverbought: 70,
+  rsiOversold: 30,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  bollingerPeriod: 20,
+  bollingerStdDev: 2,
+};
+
+const PERIOD = {
+  type: "integer",
+  minimum: 2,
+  maximum: 500
+};
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(4));
+}
+
+/**
+ * Compute the requested indicators over the closes, aligned with the series
+ */
+function computeIndicators(closes, indicators, params) {
+  const columns = {};
+  if (indicators.includes('sma')) columns.sma = sma(closes, params.smaPeriod);
+  if (indicators.includes('ema')) columns.ema = ema(closes, params.emaPeriod);
+  if (indicators.includes('rsi')) columns.rsi = rsi(closes, params.rsiPeriod);
+  if (indicators.includes('macd')) {
+    const result = macd(closes, params.macdFast, params.macdSlow, params.macdSignal);
+    columns.macd = result.macd;
+    columns.macdSignal = result.signal;
+    columns.macdHistogram = result.histogram;
+  }
+  if (indicators.includes('bollinger')) {
+    const result = bollinger(closes, params.bollingerPeriod, params.bollingerStdDev);
+    columns.bollingerUpper = result.upper;
+    columns.bollingerMiddle = result.middle;
+    columns.bollingerLower = result.lower;
+  }
+  return columns;
+}
+
+/**
+ * Describe where the last bar stands for each indicator and the most recent crossovers
+ */
+function summarize(series, closes, columns, indicators, params) {
+  const last = closes.length - 1;
+  const signals = {};
+  const crossDate = (cross) => (cross ? { date: series[cross.index].date, direction: cross.direction } : null);
+  const insufficient = (needed) => ({ status: 'insufficient history', needed, available: closes.length });
+
+  for (const [name, column] of [['sma', columns.sma], ['ema', columns.ema]]) {
+    if (!indicators.includes(name)) continue;
+    if (column[last] === null) {
+      signals[name] = insufficient(params[`${name}Period`]);
+      continue;
+    }
+    signals[name] = {
+      position: closes[last] >= column[last] ? 'above' : 'below',
+      distancePercent: round(((closes[last] - column[last]) / column[last]) * 100),
+      lastCrossover: crossDate(lastCrossover(closes, column)),
+    };
+  }
+
+  if (indicators.includes('rsi')) {
+    const value = columns.rsi[last];
+    signals.rsi = value === null ? insufficient(params.rsiPeriod + 1) : {
+      value: round(value),
+      state: value >= params.rsiOverbought ? 'overbought' : value <= params.rsiOversold ? 'oversold' : 'neutral',
+    };
+  }
+
+  if (indicators.includes('macd')) {
+    const histogram = columns.macdHistogram[last];
+    signals.macd = histogram === null ? insufficient(params.macdSlow + params.macdSignal - 1) : {
+      trend: histogram >= 0 ? 'bullish' : 'bearish',
+      histogram: round(histogram),
+      lastCrossover: crossDate(lastCrossover(columns.macd, columns.macdSignal)),
+    };
+  }
+
+  if (indicators.includes('bollinger')) {
+    const upper = columns.bollingerUpper[last];
+    const lower = columns.bollingerLower[last];
+    signals.bollinger = upper === null ? insufficient(params.bollingerPeriod) : {
+      position: closes[last] > upper ? 'above upper band' : closes[last] < lower ? 'below lower band' : 'inside bands',
+      percentB: round(upper === lower ? 0.5 : (closes[last] - lower) / (upper - lower)),
+      bandwidthPercent: round(((upper - lower) / columns.bollingerMiddle[last]) * 100),
+    };
+  }
+
+  return signals;
+}
+
+/**
+ * Technical analysis tools
+ */
+export const technicalTools = [
+  {
+    name: "technical_indicators",
+    description: "Compute technical indicators (SMA, EMA, RSI, MACD, Bollinger bands) from price history on the server. Returns the most recent bars with indicator values plus signal summaries: price vs. moving averages, crossovers, RSI overbought/oversold and band position.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        asset: {
+          type: "string",
+          description: "Asset class (default: stock)",
+          enum: ASSET_CLASSES
+        },
+        ticker: {
+          type: "string",
+          description: "Ticker symbol (e.g., 'AAPL', 'BTC', 'EURUSD')"
+        },
+        indicators: {
+          type: "array",
+          description: `Indicators to compute (default: all): ${INDICATORS.join(', ')}`,
+          items: {
+            type: "string",
+            enum: INDICATORS
+          },
+          minItems: 1
+        },
+        params: {
+          type: "object",
+          description: `Indicator parameters (defaults: ${Object.entries(DEFAULT_PARAMS).map(([key, value]) => `${key}=${value}`).join(', ')})`,
+          properties: {
+            smaPeriod: PERIOD,
+            emaPeriod: PERIOD,
+            rsiPeriod: PERIOD,
+            rsiOverbought: { type: "number", minimum: 50, maximum: 100 },
+            rsiOversold: { type: "number", minimum: 0, maximum: 50 },
+            macdFast: PERIOD,
+            macdSlow: PERIOD,
+            macdSignal: PERIOD,
+            bollingerPeriod: PERIOD,
+            bollingerStdDev: { type: "number", exclusiveMinimum: 0, maximum: 5 }
+          },
+          additionalProperties: false
+        },
+        interval: PRICE_HISTORY_PROPERTIES.interval,
+        to: {
+          ...PRICE_HISTORY_PROPERTIES.to,
+          description: "Compute as of this date (YYYY-MM-DD; default: latest)"
+        },
+        window: {
+          type: "integer",
+          description: "Number of recent bars to return with indicator values (default: 10)",
+          minimum: 1,
+          maximum: 250
+        }
+      },
+      required: ["ticker"]
+    },
+    handler: async (args, context) => {
+      const asset = args.asset || 'stock';
+      const indicators = args.indicators || INDICATORS;
+      const params = { ...DEFAULT_PARAMS, ...args.params };
+      if (params.macdFast >= params.macdSlow) {
+        throw new InvalidArgumentError('params.macdFast must be less than params.macdSlow', {
+          details: [{ field: 'params.macdFast', message: 'must be less than params.macdSlow' }],
+        });
+      }
+      const ticker = normalizeTicker(args.ticker, asset);
+      const series = await fetchPriceSeries(context, { asset, ticker, to: args.to, interval: args.interval });
+      const closes = series.map(({ close }) => close);
+      const columns = computeIndicators(closes, indicators, params);
+
+      const start = Math.max(0, series.length - (args.window || 10));
+      const recent = series.slice(start).map(({ date, close }, i) => ({
+        date,
+        close,
+        ...Object.fromEntries(Object.entries(columns).map(([name, column]) => [name, round(column[start + i])])),
+      }));
+
+      return {
+        asset,
+        ticker,
+        interval: args.interval || 'daily',
+        asOf: series[series.length - 1].date,
+        bars: series.length,
+        params: Object.fromEntries(Object.entries(params).filter(([key]) => indicators.some((name) => key.startsWith(name)))),
+        signals: summarize(series, closes, columns, indicators, params),
+        recent,
+      };
+    }
+  },
+];
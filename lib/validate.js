@@ -0,0 +1,119 @@
+/**
+ * Validation of tool arguments against their inputSchema.
+ * Supports the JSON Schema subset used by the tool definitions: type, properties, required,
+ * additionalProperties, enum, minimum/maximum, minLength/maxLength, pattern, format, items and minItems/maxItems.
+ * Unknown properties are rejected unless the schema sets additionalProperties.
+ */
+
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const FORMATS = {
+  date: (value) => {
+    const match = DATE.exec(value);
+    if (!match) {
+      return false;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === value;
+  },
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+};
+
+const FORMAT_NAMES = {
+  date: 'a date (YYYY-MM-DD)',
+  'date-time': 'an ISO 8601 date-time',
+};
+
+/**
+ * JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a schema. Returns a list of { field, message } errors (empty when valid).
+ */
+export function validate(schema, value, field = '') {
+  const errors = [];
+  const at = field || '(arguments)';
+  const fail = (message) => errors.push({ field: at, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)} ${describe(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}, got ${value}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}, got ${value}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}, got ${value}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match pattern ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be ${FORMAT_NAMES[schema.format]}, got ${describe(value)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${field}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const path = field ? `${field}.${name}` : name;
+      if (propertyValue === undefined) {
+        continue;
+      }
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validate(properties[name], propertyValue, path));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propertyValue, path));
+      } else if (schema.additionalProperties !== true && schema.properties) {
+        const known = Object.keys(properties);
+        errors.push({
+          field: path,
+          message: known.length > 0
+            ? `is not a known argument (expected one of: ${known.join(', ')})`
+            : 'is not a known argument (this tool takes no arguments)',
+        });
+      }
+    }
+  }
+
+  return errors;
+}
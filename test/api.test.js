@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '2',
+  API_RETRY_BASE_DELAY_MS: '1',
+  API_RATE_LIMIT: '0',
+  API_TIMEOUT_MS: '1000',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { makeApiRequest, setApiBackend } = await import('../lib/api.js');
+const { NotFoundError, RateLimitError, UpstreamError } = await import('../lib/errors.js');
+
+/**
+ * Backend that answers with `replies` in turn: `{ status, headers, body }`, or an Error to throw
+ */
+function stubBackend(replies) {
+  const calls = [];
+  setApiBackend(async (url) => {
+    const reply = replies[Math.min(calls.length, replies.length - 1)];
+    calls.push(url);
+    if (reply instanceof Error) throw reply;
+    return new Response(JSON.stringify(reply.body ?? {}), { status: reply.status, headers: reply.headers });
+  });
+  return calls;
+}
+
+/**
+ * Let pending promise callbacks and I/O run, so a request reaches its next wait
+ */
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+describe('API requests', () => {
+  afterEach(() => setApiBackend(async () => {
+    throw new Error('no backend');
+  }));
+
+  it('retries 503 responses with backoff until one succeeds', async () => {
+    const calls = stubBackend([{ status: 503 }, { status: 503 }, { status: 200, body: { ok: true } }]);
+    assert.deepEqual(await makeApiRequest('stocks/AAPL'), { ok: true });
+    assert.equal(calls.length, 3);
+  });
+
+  it('gives up after maxRetries and throws the typed error', async () => {
+    const calls = stubBackend([{ status: 503 }]);
+    await assert.rejects(makeApiRequest('stocks/AAPL'), UpstreamError);
+    assert.equal(calls.length, 3);
+
+    const once = stubBackend([{ status: 429, headers: { 'Retry-After': '7' } }]);
+    await assert.rejects(makeApiRequest('stocks/AAPL', { maxRetries: 0 }), (error) => error instanceof RateLimitError && error.retryAfterSeconds === 7);
+    assert.equal(once.length, 1);
+  });
+
+  it('does not retry errors that will not go away', async () => {
+    const calls = stubBackend([{ status: 404 }, { status: 200 }]);
+    await assert.rejects(makeApiRequest('stocks/ZZZZ'), NotFoundError);
+    assert.equal(calls.length, 1);
+  });
+
+  it('retries network failures', async () => {
+    const calls = stubBackend([new TypeError('fetch failed'), { status: 200, body: { ok: true } }]);
+    assert.deepEqual(await makeApiRequest('stocks/AAPL'), { ok: true });
+    assert.equal(calls.length, 2);
+  });
+
+  it('waits for Retry-After before retrying a 429', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const calls = stubBackend([{ status: 429, headers: { 'Retry-After': '2' } }, { status: 200, body: { ok: true } }]);
+    const pending = makeApiRequest('stocks/AAPL');
+    await settle();
+    assert.equal(calls.length, 1);
+
+    t.mock.timers.tick(1999);
+    await settle();
+    assert.equal(calls.length, 1);
+
+    t.mock.timers.tick(1);
+    assert.deepEqual(await pending, { ok: true });
+    assert.equal(calls.length, 2);
+  });
+
+  it('caps a long Retry-After at 30 seconds', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const calls = stubBackend([{ status: 503, headers: { 'Retry-After': '3600' } }, { status: 200, body: { ok: true } }]);
+    const pending = makeApiRequest('stocks/AAPL');
+    await settle();
+
+    t.mock.timers.tick(29999);
+    await settle();
+    assert.equal(calls.length, 1);
+
+    t.mock.timers.tick(1);
+    assert.deepEqual(await pending, { ok: true });
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { createCache } from '../lib/cache.js';
+
+describe('response cache', () => {
+  it('clears only the given scope, in memory and on disk', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'axion-cache-'));
+    const cache = createCache({ dir });
+    await cache.set('a:stocks/AAPL', 1, { endpoint: 'stocks/AAPL', scope: 'a', ttlSeconds: 60 });
+    await cache.set('a:etf/SPY/holdings', 2, { endpoint: 'etf/SPY/holdings', scope: 'a', ttlSeconds: 60 });
+    await cache.set('b:stocks/AAPL', 3, { endpoint: 'stocks/AAPL', scope: 'b', ttlSeconds: 60 });
+
+    assert.equal(await cache.clear(undefined, 'a'), 2);
+    assert.equal((await readdir(dir)).length, 1);
+
+    const reloaded = createCache({ dir });
+    assert.equal(await reloaded.get('a:stocks/AAPL'), null);
+    assert.deepEqual(await reloaded.get('b:stocks/AAPL'), { value: 3, etag: null, fresh: true });
+  });
+
+  it('clears by endpoint prefix within a scope', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'axion-cache-'));
+    const cache = createCache({ dir });
+    await cache.set('a:stocks/AAPL', 1, { endpoint: 'stocks/AAPL', scope: 'a', ttlSeconds: 60 });
+    await cache.set('a:etf/SPY/holdings', 2, { endpoint: 'etf/SPY/holdings', scope: 'a', ttlSeconds: 60 });
+    await cache.set('b:etf/SPY/holdings', 3, { endpoint: 'etf/SPY/holdings', scope: 'b', ttlSeconds: 60 });
+
+    assert.equal(await cache.clear('etf/', 'a'), 1);
+    const reloaded = createCache({ dir });
+    assert.notEqual(await reloaded.get('a:stocks/AAPL'), null);
+    assert.equal(await reloaded.get('a:etf/SPY/holdings'), null);
+    assert.notEqual(await reloaded.get('b:etf/SPY/holdings'), null);
+  });
+
+  it('removes every entry without a prefix or scope', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'axion-cache-'));
+    const cache = createCache({ dir });
+    await cache.set('a:stocks/AAPL', 1, { endpoint: 'stocks/AAPL', scope: 'a', ttlSeconds: 60 });
+    await cache.set('b:stocks/AAPL', 2, { endpoint: 'stocks/AAPL', scope: 'b', ttlSeconds: 60 });
+
+    assert.equal(await cache.clear(), 2);
+    assert.deepEqual(await readdir(dir), []);
+  });
+});
@@ -0,0 +1,13 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadConfig } from '../lib/config.js';
+
+describe('configuration', () => {
+  it('reads per-family cache TTLs from CACHE_TTLS', () => {
+    assert.deepEqual(loadConfig({ CACHE_TTLS: '{"quotes": 5}' }).cacheTtls, { quotes: 5 });
+  });
+
+  it('names CACHE_TTLS when it is not valid JSON', () => {
+    assert.throws(() => loadConfig({ CACHE_TTLS: '{quotes: 5}' }), /^Error: Invalid CACHE_TTLS: expected JSON/);
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { InvalidArgumentError } = await import('../lib/errors.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+const AAPL = { asset: 'stock', ticker: 'AAPL' };
+const BTC = { asset: 'crypto', ticker: 'BTC' };
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-4, `${label}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * AAPL trades 2024-01-02 to 01-08 on weekdays; BTC trades every day from 2024-01-03 to 01-09
+ */
+describe('correlation_matrix', () => {
+  const registry = createRegistry(tools);
+
+  it('correlates only the dates both symbols traded', async () => {
+    const result = await registry.call('correlation_matrix', { symbols: [AAPL, BTC] });
+    // Common dates 01-03, 01-04, 01-05, 01-08: AAPL returns -0.1, 0.1, 0.1; BTC returns -0.05, 0.1, 0.05.
+    // Deviations from the means are proportional to (-2, 1, 1) and (-5, 4, 1): 15 / sqrt(6 * 42)
+    assert.deepEqual([result.start, result.end, result.observations], ['2024-01-03', '2024-01-08', 3]);
+    assert.deepEqual(result.matrix.map(({ symbol }) => symbol), ['AAPL', 'BTC']);
+    assertClose(result.matrix[0].BTC, 15 / Math.sqrt(6 * 42), 'AAPL/BTC');
+    assert.equal(result.matrix[1].AAPL, result.matrix[0].BTC);
+    assert.equal(result.matrix[0].AAPL, 1);
+    assert.deepEqual(result.symbols.map(({ bars }) => bars), [5, 7]);
+  });
+
+  it('carries closes over the weekend with forward-fill', async () => {
+    const result = await registry.call('correlation_matrix', { symbols: [AAPL, BTC], alignment: 'forward-fill' });
+    // 01-03 to 01-08: AAPL returns -0.1, 0.1, 0, 0, 0.1; BTC returns -0.05, 0.1, 0, 0, 0.05 (means 0.02 and 0.02)
+    assert.deepEqual([result.start, result.end, result.observations], ['2024-01-03', '2024-01-08', 5]);
+    assertClose(result.matrix[0].BTC, 0.018 / Math.sqrt(0.028 * 0.013), 'AAPL/BTC');
+  });
+
+  it('rejects a rolling window longer than the aligned returns', async () => {
+    await assert.rejects(registry.call('correlation_matrix', { symbols: [AAPL, BTC], window: 5 }), InvalidArgumentError);
+  });
+
+  it('rolls the window back from the latest bar every `step` bars', async () => {
+    // The same monthly SPY history as a stock and as an ETF: 15 closes, 14 returns
+    const result = await registry.call('correlation_matrix', {
+      symbols: [{ asset: 'stock', ticker: 'SPY' }, { asset: 'etf', ticker: 'SPY' }],
+      window: 5,
+      step: 4,
+    });
+    // Windows end at returns 14, 10 and 6, dated by their last bar
+    assert.deepEqual(result.rolling.map(({ date }) => date), ['2023-07-31', '2023-11-30', '2024-03-28']);
+    assert.deepEqual(result.rolling[2].matrix, [
+      { symbol: 'stock:SPY', 'stock:SPY': 1, 'etf:SPY': 1 },
+      { symbol: 'etf:SPY', 'stock:SPY': 1, 'etf:SPY': 1 },
+    ]);
+  });
+});
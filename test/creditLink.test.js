@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+describe('credit_for_ticker', () => {
+  const registry = createRegistry(tools);
+
+  it('ranks candidates by name and country, matching country names to codes', async () => {
+    const result = await registry.call('credit_for_ticker', { ticker: 'AAPL' });
+    assert.deepEqual(result.company, { name: 'Apple Inc.', country: 'United States' });
+
+    // "US" is the United States; the Irish entity of the same name loses a fifth of its confidence
+    const [first, second, third] = result.candidates;
+    assert.deepEqual([first.id, first.country, first.confidence], ['E1', 'US', 1]);
+    assert.deepEqual([second.id, second.confidence], ['E2', 0.8]);
+    assert.equal(third.id, 'E3');
+    assert.ok(third.confidence < 0.8);
+    assert.equal(result.candidates.length, 3);
+    assert.equal(result.match.id, 'E1');
+  });
+
+  it('orders ratings by date whether dates are strings, epoch seconds or milliseconds', async () => {
+    const { ratings } = await registry.call('credit_for_ticker', { ticker: 'AAPL' });
+    // The undated current rating repeats the latest dated entry and is left out
+    assert.deepEqual(ratings.map(({ rating, date }) => [rating, date]), [
+      ['AA+', 1704067200],
+      ['AA', '2023-06-30'],
+      ['AAA', 1609459200000],
+    ]);
+    assert.equal(ratings[0].outlook, 'Stable');
+  });
+
+  it('returns the candidates without ratings when no candidate is confident enough', async () => {
+    const result = await registry.call('credit_for_ticker', { ticker: 'NVDA', minConfidence: 0.9 });
+    // Same name once legal suffixes are ignored, but domiciled elsewhere
+    assert.deepEqual(result.candidates, [{ id: 'N1', name: 'Nvidia Holdings Ltd', country: 'Taiwan', confidence: 0.8 }]);
+    assert.equal(result.match, null);
+    assert.equal(result.ratings, undefined);
+    assert.match(result.note, /^No candidate reached confidence 0.9/);
+  });
+
+  it('matches an alpha-3 country code and reports a failed ratings lookup', async () => {
+    const result = await registry.call('credit_for_ticker', { ticker: 'SAP' });
+    assert.deepEqual(result.candidates, [{ id: '42', name: 'SAP SE', country: 'DEU', confidence: 1 }]);
+    assert.equal(result.match.id, '42');
+    assert.equal(result.ratings, null);
+    assert.match(result.errors.credit_ratings, /^NOT_FOUND: /);
+  });
+});
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createAuthenticator } from '../lib/auth.js';
+import { redact, registerSecret, releaseSecret } from '../lib/errors.js';
+
+describe('secret redaction', () => {
+  it('keeps a secret redacted until every registration is released', () => {
+    registerSecret('client-key-1');
+    registerSecret('client-key-1');
+    releaseSecret('client-key-1');
+    assert.equal(redact('failed for client-key-1'), 'failed for [REDACTED]');
+    releaseSecret('client-key-1');
+    assert.equal(redact('failed for client-key-1'), 'failed for client-key-1');
+  });
+
+  it('masks bearer credentials and query strings without registration', () => {
+    assert.equal(redact('Authorization: Bearer abc123'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(redact('GET https://api.example.com/stocks?api_key=abc'), 'GET https://api.example.com/stocks');
+  });
+
+  it('does not register passthrough keys per request', () => {
+    const authenticate = createAuthenticator({ mode: 'passthrough' });
+    const { apiKey } = authenticate({ headers: { 'x-axion-api-key': 'made-up-key' } });
+    assert.equal(apiKey, 'made-up-key');
+    assert.equal(redact('made-up-key'), 'made-up-key');
+  });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseAllocations, parseHoldings } from '../lib/analytics/funds.js';
+
+describe('fund weights', () => {
+  it('reads weights under a percent field as percentages', () => {
+    const holdings = parseHoldings({ holdings: [{ symbol: 'AAPL', holdingPercent: 0.9 }, { symbol: 'MSFT', holdingPercent: 0.8 }] });
+    assert.deepEqual(holdings.map(({ weight }) => weight), [0.9 / 100, 0.8 / 100]);
+    // The top holdings of a broad fund add up to less than 1 percent
+    const top = parseHoldings([{ ticker: 'A', weightPercent: 0.4 }, { ticker: 'B', weightPercent: 0.3 }, { ticker: 'C', pct: 0.2 }]);
+    assert.deepEqual(top.map(({ weight }) => weight), [0.4 / 100, 0.3 / 100, 0.2 / 100]);
+  });
+
+  it('reads an unlabeled list as percentages when any weight is above 1', () => {
+    const holdings = parseHoldings([{ ticker: 'AAPL', weight: 7.5 }, { ticker: 'MSFT', weight: 0.5 }]);
+    assert.deepEqual(holdings.map(({ weight }) => weight), [0.075, 0.005]);
+  });
+
+  it('keeps an unlabeled list with no weight above 1 as fractions', () => {
+    const holdings = parseHoldings([{ ticker: 'aapl', weight: 0.07 }, { ticker: 'msft', name: 'Microsoft', weight: 0.065 }]);
+    assert.deepEqual(holdings, [
+      { ticker: 'AAPL', name: null, weight: 0.07 },
+      { ticker: 'MSFT', name: 'Microsoft', weight: 0.065 },
+    ]);
+  });
+
+  it('scales "%" strings regardless of the rest of the list', () => {
+    const { sectors, regions } = parseAllocations({ data: { sectorWeights: { Technology: '30%', Energy: 0.1 }, regions: [{ region: 'US', weight: 62.5 }, { region: 'Europe', weight: 37.5 }] } });
+    assert.deepEqual(sectors, { Technology: 0.3, Energy: 0.1 });
+    assert.deepEqual(regions, { US: 0.625, Europe: 0.375 });
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: FIXTURES_DIR,
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { bollinger, ema, lastCrossover, macd, rsi, sma } = await import('../lib/analytics/indicators.js');
+const { priceSeries } = await import('../lib/prices.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+// AAPL closes 100, 110, 99, 108.9, 119.79: changes +10, -11, +9.9, +10.89
+const closes = priceSeries(JSON.parse(await readFile(`${FIXTURES_DIR}/stocks/AAPL/prices.json`, 'utf8'))).map(({ close }) => close);
+
+function assertSeries(actual, expected, label) {
+  assert.equal(actual.length, expected.length, label);
+  expected.forEach((value, i) => {
+    if (value === null) assert.equal(actual[i], null, `${label}[${i}]`);
+    else assert.ok(Math.abs(actual[i] - value) < 1e-9, `${label}[${i}]: expected ${value}, got ${actual[i]}`);
+  });
+}
+
+describe('technical indicators', () => {
+  it('averages the last `period` closes', () => {
+    assertSeries(sma(closes, 3), [null, null, 309 / 3, 317.9 / 3, 327.69 / 3], 'sma');
+  });
+
+  it('seeds the EMA with the first SMA and then weights each close by 2 / (period + 1)', () => {
+    // k = 0.5: 103, then (108.9 + 103) / 2 = 105.95, then (119.79 + 105.95) / 2 = 112.87
+    assertSeries(ema(closes, 3), [null, null, 103, 105.95, 112.87], 'ema');
+  });
+
+  it("smooths RSI gains and losses with Wilder's method", () => {
+    // First averages over 2 changes: gain (10 + 0) / 2 = 5, loss (0 + 11) / 2 = 5.5
+    // Then gain (5 + 9.9) / 2 = 7.45, loss 5.5 / 2 = 2.75; gain (7.45 + 10.89) / 2 = 9.17, loss 2.75 / 2 = 1.375
+    const rsiOf = (gain, loss) => 100 - 100 / (1 + gain / loss);
+    assertSeries(rsi(closes, 2), [null, null, rsiOf(5, 5.5), rsiOf(7.45, 2.75), rsiOf(9.17, 1.375)], 'rsi');
+  });
+
+  it('builds the MACD line, signal and histogram from EMAs', () => {
+    // Fast EMA(2), k = 2/3: 105, 101, 106.2666..., 115.2822...; slow EMA(3) as above
+    const fast = [null, 105, 101, 108.9 * 2 / 3 + 101 / 3];
+    fast.push(119.79 * 2 / 3 + fast[3] / 3);
+    const line = [null, null, 101 - 103, fast[3] - 105.95, fast[4] - 112.87];
+    // The signal EMA(2) starts at the first MACD value it can average
+    const signal = [null, null, null, (line[2] + line[3]) / 2];
+    signal.push(line[4] * 2 / 3 + signal[3] / 3);
+    const result = macd(closes, 2, 3, 2);
+    assertSeries(result.macd, line, 'macd');
+    assertSeries(result.signal, signal, 'signal');
+    assertSeries(result.histogram, [null, null, null, line[3] - signal[3], line[4] - signal[4]], 'histogram');
+  });
+
+  it('places Bollinger bands two population deviations around the SMA', () => {
+    // Last window 99, 108.9, 119.79: mean 109.23, squared deviations 104.6529 + 0.1089 + 111.5136
+    const deviation = Math.sqrt((104.6529 + 0.1089 + 111.5136) / 3);
+    const { upper, middle, lower } = bollinger(closes, 3, 2);
+    assert.ok(Math.abs(middle[4] - 109.23) < 1e-9);
+    assert.ok(Math.abs(upper[4] - (109.23 + 2 * deviation)) < 1e-9);
+    assert.ok(Math.abs(lower[4] - (109.23 - 2 * deviation)) < 1e-9);
+    assert.equal(upper[1], null);
+  });
+
+  it('returns only nulls when the window is longer than the series', () => {
+    const empty = [null, null, null, null, null];
+    assert.deepEqual(sma(closes, 10), empty);
+    assert.deepEqual(ema(closes, 10), empty);
+    assert.deepEqual(rsi(closes, 14), empty);
+    assert.deepEqual(bollinger(closes, 10).upper, empty);
+    assert.deepEqual(macd(closes).histogram, empty);
+  });
+
+  it('keeps RSI defined for flat prices and rising prices without losses', () => {
+    assert.deepEqual(rsi([5, 5, 5, 5], 2), [null, null, 50, 50]);
+    assert.deepEqual(rsi([1, 2, 3, 4], 2), [null, null, 100, 100]);
+    const flat = bollinger([5, 5, 5], 3);
+    assert.deepEqual([flat.upper[2], flat.lower[2]], [5, 5]);
+  });
+
+  it('finds the most recent crossover', () => {
+    assert.deepEqual(lastCrossover([1, 3, 2, 4], [2, 2, 3, 3]), { index: 3, direction: 'bullish' });
+    assert.deepEqual(lastCrossover([3, 1], [2, 2]), { index: 1, direction: 'bearish' });
+    assert.equal(lastCrossover([null, 1], [2, 2]), null);
+  });
+});
+
+describe('technical_indicators', () => {
+  const registry = createRegistry(tools);
+
+  it('returns the recent bars with rounded indicator values and signals', async () => {
+    const result = await registry.call('technical_indicators', {
+      ticker: 'aapl',
+      params: { smaPeriod: 3, emaPeriod: 3, rsiPeriod: 2, macdFast: 2, macdSlow: 3, macdSignal: 2, bollingerPeriod: 3 },
+      window: 2,
+    });
+    assert.equal(result.ticker, 'AAPL');
+    assert.equal(result.asOf, '2024-01-08');
+    assert.equal(result.bars, 5);
+    assert.deepEqual(result.recent.map(({ date }) => date), ['2024-01-05', '2024-01-08']);
+    const last = result.recent[1];
+    assert.equal(last.sma, 109.23);
+    assert.equal(last.ema, 112.87);
+    assert.equal(last.bollingerMiddle, 109.23);
+    // 100 - 100 / (1 + 9.17 / 1.375)
+    assert.equal(last.rsi, 86.9606);
+    assert.equal(result.signals.rsi.state, 'overbought');
+    assert.equal(result.signals.sma.position, 'above');
+    assert.equal(result.signals.macd.trend, 'bullish');
+  });
+
+  it('reports insufficient history instead of values when the periods are longer than the series', async () => {
+    const { signals, recent } = await registry.call('technical_indicators', { ticker: 'AAPL', indicators: ['sma', 'rsi'] });
+    assert.deepEqual(signals.sma, { status: 'insufficient history', needed: 20, available: 5 });
+    assert.deepEqual(signals.rsi, { status: 'insufficient history', needed: 15, available: 5 });
+    assert.ok(recent.every(({ sma: value }) => value === null));
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { shapeOutput } from '../lib/output.js';
+import { PRICE_HISTORY_PAGING } from '../lib/prices.js';
+
+const rows = Array.from({ length: 20 }, (_, i) => ({ id: i, label: `row ${i}` }));
+
+describe('shapeOutput', () => {
+  it('pages the main array with limit and offset', () => {
+    const { text, notes } = shapeOutput({ data: rows }, { limit: 5, offset: 10, format: 'compact-json' });
+    assert.deepEqual(JSON.parse(text).data.map(({ id }) => id), [10, 11, 12, 13, 14]);
+    assert.match(notes[0], /rows 10-14 of 20 .* offset=15/);
+  });
+
+  it('keeps the first rows that fit and points at the next offset', () => {
+    const { text, notes } = shapeOutput({ data: rows }, { format: 'compact-json' }, { maxChars: 200 });
+    const ids = JSON.parse(text).data.map(({ id }) => id);
+    assert.equal(ids[0], 0);
+    assert.ok(text.length <= 200);
+    assert.match(notes[0], new RegExp(`offset=${ids.length}\\b`));
+  });
+
+  it('keeps the most recent bars of a price history and points at the earlier ones', () => {
+    const bars = Array.from({ length: 30 }, (_, i) => ({ date: `2024-01-${String(i + 1).padStart(2, '0')}`, close: 100 + i }));
+    const paging = { keep: 'last', previous: (page) => PRICE_HISTORY_PAGING.previous(page, {}) };
+    const { text, notes } = shapeOutput({ ticker: 'AAPL', data: bars }, { format: 'compact-json' }, { maxChars: 300, paging });
+    const dates = JSON.parse(text).data.map(({ date }) => date);
+    assert.equal(dates.at(-1), '2024-01-30');
+    const previousDay = new Date(Date.parse(dates[0]) - 86400000).toISOString().slice(0, 10);
+    assert.match(notes[0], new RegExp(`last ${dates.length} of 30 rows .* to=${previousDay} `));
+  });
+
+  it('pages an array nested in an envelope', () => {
+    const { text, notes } = shapeOutput({ data: { total: 20, items: rows } }, { limit: 2, offset: 3, format: 'compact-json' });
+    assert.deepEqual(JSON.parse(text), { data: { total: 20, items: [rows[3], rows[4]] } });
+    assert.match(notes[0], /rows 3-4 of 20 in "data.items". .*offset=5/);
+    assert.equal(shapeOutput({ data: { items: rows } }, { limit: 1, format: 'csv' }).text, 'id,label\n0,row 0');
+  });
+
+  it('shortens long strings and arrays so an oversized result stays valid JSON', () => {
+    const result = { ticker: 'AAPL', profile: { summary: 'x'.repeat(5000), officers: { names: Array.from({ length: 100 }, (_, i) => `officer ${i}`) } } };
+    const { text, notes } = shapeOutput(result, {}, { maxChars: 400 });
+    const shortened = JSON.parse(text);
+    assert.ok(text.length <= 400);
+    assert.equal(shortened.ticker, 'AAPL');
+    assert.match(shortened.profile.summary, /^x+…$/);
+    assert.ok(shortened.profile.officers.names.length < 100);
+    assert.match(notes[0], /shortened to fit 400 characters/);
+  });
+
+  it('keeps whole CSV rows when shortening a single oversized row', () => {
+    const { text } = shapeOutput({ data: [{ id: 1, note: 'y'.repeat(1000) }] }, { format: 'csv' }, { maxChars: 100 });
+    assert.match(text, /^id,note\n1,y+…$/);
+  });
+
+  it('marks text it has to cut off', () => {
+    const result = Object.fromEntries(Array.from({ length: 200 }, (_, i) => [`field${i}`, i]));
+    const { text, notes } = shapeOutput(result, {}, { maxChars: 100 });
+    assert.equal(text.length, 100);
+    assert.ok(text.endsWith('…[truncated]'));
+    assert.match(notes[0], /incomplete/);
+  });
+});
+
+describe('PRICE_HISTORY_PAGING', () => {
+  it('asks for the bars before the period of the earliest bar', () => {
+    const bars = [{ date: '2024-03-14', close: 1 }];
+    assert.deepEqual(PRICE_HISTORY_PAGING.previous(bars, {}), { to: '2024-03-13' });
+    assert.deepEqual(PRICE_HISTORY_PAGING.previous(bars, { interval: 'weekly' }), { to: '2024-03-10' });
+    assert.deepEqual(PRICE_HISTORY_PAGING.previous(bars, { interval: 'monthly' }), { to: '2024-02-29' });
+  });
+});
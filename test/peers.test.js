@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { percentileRank } = await import('../lib/tools/peers.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+describe('percentileRank', () => {
+  it('ranks the highest value at 100 and the lowest at 0', () => {
+    assert.equal(percentileRank(40, [10, 40, 20, 30]), 100);
+    assert.equal(percentileRank(10, [10, 40, 20, 30]), 0);
+    assert.equal(percentileRank(20, [10, 40, 20]), 50);
+  });
+
+  it('counts ties as half below', () => {
+    assert.equal(percentileRank(20, [10, 20, 20, 30, 40]), 37.5);
+    assert.equal(percentileRank(5, [5, 5]), 50);
+  });
+
+  it('returns null when there is no peer to compare with', () => {
+    assert.equal(percentileRank(5, [5]), null);
+  });
+});
+
+describe('peer_comparison', () => {
+  const registry = createRegistry(tools);
+
+  it('ranks the company among its peers and summarizes each metric', async () => {
+    const result = await registry.call('peer_comparison', { ticker: 'aapl', metrics: ['trailingPE', 'marketCap', 'beta', 'esgScore'] });
+
+    // Sorted by the first metric, highest first; ZZZZ has no data at all and is left out of the table
+    assert.equal(result.sortBy, 'trailingPE');
+    assert.deepEqual(result.companies, [
+      { rank: 1, ticker: 'NVDA', subject: false, trailingPE: 60, marketCap: 3500, beta: 1.6, esgScore: null },
+      { rank: 2, ticker: 'AAPL', subject: true, trailingPE: 30, marketCap: 3000, beta: 1.2, esgScore: 17 },
+      { rank: 3, ticker: 'GOOG', subject: false, trailingPE: 25, marketCap: 2000, beta: 1.2, esgScore: null },
+    ]);
+    assert.deepEqual(result.subject, {
+      trailingPE: { value: 30, rank: 2, of: 3, percentile: 50, median: 30 },
+      marketCap: { value: 3000, rank: 2, of: 3, percentile: 50, median: 3000 },
+      // Tied with GOOG, below NVDA
+      beta: { value: 1.2, rank: 2, of: 3, percentile: 25, median: 1.2 },
+      // No peer reports an ESG score
+      esgScore: { value: 17, rank: 1, of: 1, percentile: null, median: 17 },
+    });
+    assert.deepEqual(result.errors.map(({ ticker, errors }) => [ticker, Object.keys(errors)]), [
+      ['GOOG', ['esg_data']],
+      ['NVDA', ['esg_data']],
+      ['ZZZZ', ['profiles_statistics', 'profiles_summary', 'esg_data']],
+    ]);
+  });
+
+  it('limits the peers to maxPeers in the order they are listed', async () => {
+    const result = await registry.call('peer_comparison', { ticker: 'AAPL', metrics: ['marketCap'], maxPeers: 1 });
+    assert.deepEqual(result.companies.map(({ ticker, rank }) => [ticker, rank]), [['AAPL', 1], ['GOOG', 2]]);
+    assert.equal(result.subject.marketCap.percentile, 100);
+  });
+});
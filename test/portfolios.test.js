@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const PORTFOLIO_DIR = await mkdtemp(join(tmpdir(), 'axion-portfolios-'));
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+  PORTFOLIO_FILE: join(PORTFOLIO_DIR, 'portfolios.json'),
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { NotFoundError } = await import('../lib/errors.js');
+const { createPortfolioStore } = await import('../lib/portfolios.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+describe('portfolio store', () => {
+  it('treats names inherited by every object as ordinary names', async () => {
+    const store = createPortfolioStore(join(PORTFOLIO_DIR, 'reserved.json'));
+    assert.equal(await store.get('a', 'constructor'), null);
+    assert.equal(await store.get('toString', 'hasOwnProperty'), null);
+    assert.equal(await store.remove('a', 'toString'), false);
+
+    await store.save('a', { name: 'constructor', currency: 'USD', positions: [] });
+    assert.equal((await store.get('a', 'constructor')).name, 'constructor');
+    assert.deepEqual((await store.list('a')).map(({ name }) => name), ['constructor']);
+    assert.equal(await store.get('b', 'constructor'), null);
+    assert.equal(await store.remove('a', 'constructor'), true);
+    assert.deepEqual(await store.list('a'), []);
+  });
+
+  it('keeps the creation time when a portfolio is replaced', async () => {
+    const store = createPortfolioStore(join(PORTFOLIO_DIR, 'replace.json'));
+    const first = await store.save('a', { name: 'core', currency: 'USD', positions: [] });
+    const second = await store.save('a', { name: 'core', currency: 'EUR', positions: [] });
+    assert.equal(second.createdAt, first.createdAt);
+    assert.equal((await store.get('a', 'core')).currency, 'EUR');
+  });
+});
+
+describe('portfolio tools', () => {
+  const registry = createRegistry(tools);
+
+  it('reports reserved names that were never saved as not found', async () => {
+    await assert.rejects(registry.call('portfolio_list', { name: 'constructor' }), NotFoundError);
+    await assert.rejects(registry.call('portfolio_delete', { name: 'hasOwnProperty' }), NotFoundError);
+  });
+
+  it('values positions in the reporting currency with sector and ESG breakdowns', async () => {
+    await registry.call('portfolio_save', {
+      name: 'mixed',
+      positions: [
+        { asset: 'stock', ticker: 'aapl', quantity: 10, costBasis: 150 },
+        { asset: 'stock', ticker: 'SAP', quantity: 20, costBasis: 100, currency: 'EUR' },
+        { asset: 'crypto', ticker: 'BTC', quantity: 0.1, currency: 'GBP' },
+        { asset: 'stock', ticker: 'ZZZZ', quantity: 1 },
+      ],
+    });
+    const result = await registry.call('portfolio_value', { name: 'mixed' });
+
+    // AAPL 10 x 200 = 2000 USD; SAP 20 x 150 EUR x 1.1 (EURUSD) = 3300; BTC 0.1 x 40000 GBP / 0.8 (USDGBP) = 5000
+    assert.deepEqual(result.positions.map(({ ticker, fxRate, marketValue }) => [ticker, fxRate, marketValue]), [
+      ['AAPL', 1, 2000],
+      ['SAP', 1.1, 3300],
+      ['BTC', 1.25, 5000],
+    ]);
+    const [aapl, sap, btc] = result.positions;
+    assert.deepEqual([aapl.cost, aapl.pnl, aapl.pnlPercent, aapl.dayChange], [1500, 500, 0.333333, 20]);
+    assert.deepEqual([sap.cost, sap.pnl, sap.pnlPercent, sap.dayChange], [2200, 1100, 0.5, -22]);
+    assert.deepEqual([btc.cost, btc.pnl, btc.dayChange, btc.sector], [null, null, null, 'Crypto']);
+    assert.deepEqual(result.positions.map(({ weight }) => weight), [0.194175, 0.320388, 0.485437]);
+
+    // Cost and P&L only cover the positions with a cost basis: 1600 / 3700
+    assert.deepEqual(result.totals, { marketValue: 10300, cost: 3700, pnl: 1600, pnlPercent: 0.432432, dayChange: -2, positions: 3 });
+    assert.deepEqual(result.sectors, [
+      { sector: 'Technology', marketValue: 5300, weight: 0.514563 },
+      { sector: 'Crypto', marketValue: 5000, weight: 0.485437 },
+    ]);
+    // Only AAPL has an ESG score; it covers 2000 of 10300
+    assert.deepEqual(result.esg, { score: 17, coverage: 0.194175 });
+    assert.deepEqual(result.errors.map(({ ticker, error }) => [ticker, error.split(':')[0]]), [['ZZZZ', 'NOT_FOUND']]);
+  });
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTokenBucket } from '../lib/rateLimiter.js';
+
+describe('token bucket', () => {
+  it('serves a burst up to its capacity without waiting', async () => {
+    const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 1 });
+    const started = Date.now();
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+    assert.ok(Date.now() - started < 50);
+    assert.equal(bucket.available, 0);
+  });
+
+  it('makes waiters beyond the capacity wait for the refill, in call order', async () => {
+    const bucket = createTokenBucket({ capacity: 1, refillPerSecond: 20 });
+    const started = Date.now();
+    const served = [];
+    await Promise.all([1, 2, 3].map((n) => bucket.take().then(() => served.push([n, Date.now() - started]))));
+
+    assert.deepEqual(served.map(([n]) => n), [1, 2, 3]);
+    // One token every 50ms after the first
+    assert.ok(served[1][1] >= 45, `second token after ${served[1][1]}ms`);
+    assert.ok(served[2][1] >= 95, `third token after ${served[2][1]}ms`);
+  });
+});
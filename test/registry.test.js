@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+const PORTFOLIO_DIR = await mkdtemp(join(tmpdir(), 'axion-registry-'));
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: FIXTURES_DIR,
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+  PORTFOLIO_FILE: join(PORTFOLIO_DIR, 'portfolios.json'),
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { setApiBackend } = await import('../lib/api.js');
+const { createFixtureBackend } = await import('../lib/backends.js');
+const { config } = await import('../lib/config.js');
+const { AxionError, InvalidArgumentError, UnknownToolError } = await import('../lib/errors.js');
+const { OUTPUT_PROPERTIES } = await import('../lib/output.js');
+const { buildEndpoint, createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+const SAMPLE_TICKERS = { stock: 'AAPL', etf: 'SPY', crypto: 'BTC', forex: 'EURUSD', future: 'ES', index: 'SPX' };
+const SAMPLE_LIST = ['AAPL', 'MSFT', 'NVDA'];
+
+/**
+ * Smallest valid value for a schema, enough to get past argument validation
+ */
+function sampleValue(schema, name, asset) {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case 'array':
+      return Array.from({ length: Math.max(1, schema.minItems || 0) }, (_, i) => (schema.items.type === 'string'
+        ? SAMPLE_LIST[i % SAMPLE_LIST.length]
+        : sampleValue(schema.items, name, asset)));
+    case 'object':
+      return sampleArgs(schema, asset);
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? (schema.exclusiveMinimum ?? 0) + 1;
+    case 'boolean':
+      return false;
+    default:
+      return name === 'ticker' ? SAMPLE_TICKERS[asset || 'stock'] : 'test';
+  }
+}
+
+/**
+ * Arguments with every required property of a tool's (or nested object's) schema
+ */
+function sampleArgs(schema, asset) {
+  const args = Object.fromEntries((schema.required || []).map((name) => [name, sampleValue(schema.properties[name], name, asset)]));
+  // Nested symbols name their own asset class
+  if (args.asset && args.ticker) args.ticker = SAMPLE_TICKERS[args.asset];
+  return args;
+}
+
+describe('tool registry', () => {
+  const registry = createRegistry(tools);
+  const declared = new Map(tools.map((tool) => [tool.name, tool]));
+  let requested = [];
+
+  before(() => {
+    const fixtures = createFixtureBackend(config.fixturesDir, config.apiBaseUrl);
+    setApiBackend((url, init) => {
+      requested.push(url);
+      return fixtures(url, init);
+    });
+  });
+
+  after(() => {
+    setApiBackend(createFixtureBackend(config.fixturesDir, config.apiBaseUrl));
+  });
+
+  it('lists every declared tool once, with the output shaping arguments', () => {
+    const listed = registry.list();
+    assert.deepEqual(listed.map(({ name }) => name), tools.map(({ name }) => name));
+    for (const { name, description, inputSchema } of listed) {
+      assert.ok(description, `${name} has a description`);
+      for (const key of Object.keys(OUTPUT_PROPERTIES).filter((key) => key !== 'offset')) {
+        assert.ok(key in inputSchema.properties, `${name} accepts ${key}`);
+      }
+    }
+  });
+
+  it('gives tools that declare their own limit no server offset', () => {
+    const prices = registry.list().find(({ name }) => name === 'stocks_prices');
+    assert.ok('limit' in prices.inputSchema.properties);
+    assert.ok(!('offset' in prices.inputSchema.properties));
+    assert.equal(registry.paging('stocks_prices').keep, 'last');
+    assert.equal(registry.paging('stocks_tickers'), null);
+  });
+
+  it('rejects unknown tools', async () => {
+    await assert.rejects(registry.call('no_such_tool', {}), UnknownToolError);
+  });
+
+  for (const { name } of registry.list()) {
+    it(`dispatches ${name}`, async () => {
+      const tool = declared.get(name);
+      const args = sampleArgs(tool.inputSchema, tool.asset);
+      requested = [];
+
+      let failure = null;
+      try {
+        await registry.call(name, args);
+      } catch (error) {
+        failure = error;
+      }
+
+      if (failure) {
+        // Missing fixtures surface as typed API errors; anything else is a broken tool
+        assert.ok(failure instanceof AxionError, `${name} threw ${failure.stack}`);
+        assert.ok(!(failure instanceof InvalidArgumentError), `${name} rejected its sample arguments: ${failure.message}`);
+      }
+      if (tool.path) {
+        assert.deepEqual(requested, [`${config.apiBaseUrl}${buildEndpoint(tool, args)}`]);
+      }
+    });
+  }
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { maxDrawdown, periodReturns, riskMetrics, valueAtRisk } from '../lib/analytics/risk.js';
+import { priceSeries } from '../lib/prices.js';
+
+/**
+ * Closing prices of a recorded price history in test/fixtures
+ */
+async function fixtureSeries(ticker) {
+  const payload = JSON.parse(await readFile(new URL(`./fixtures/stocks/${ticker}/prices.json`, import.meta.url), 'utf8'));
+  return priceSeries(payload);
+}
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: expected ${expected}, got ${actual}`);
+}
+
+describe('risk analytics', () => {
+  // AAPL closes 100, 110, 99, 108.9, 119.79: returns +10%, -10%, +10%, +10%
+  it('computes volatility, Sharpe and Sortino from the fixture returns', async () => {
+    const metrics = riskMetrics(await fixtureSeries('AAPL'), { periods: 52 });
+    assert.equal(metrics.observations, 4);
+    assert.equal(metrics.start, '2024-01-02');
+    assert.equal(metrics.end, '2024-01-08');
+    // Mean 0.05; deviations 0.05, -0.15, 0.05, 0.05 give a sample variance of 0.03 / 3 = 0.01
+    assertClose(metrics.annualizedVolatility, 0.1 * Math.sqrt(52), 'annualizedVolatility');
+    assertClose(metrics.annualizedReturn, 1.1979 ** (52 / 4) - 1, 'annualizedReturn');
+    assertClose(metrics.sharpe, (0.05 / 0.1) * Math.sqrt(52), 'sharpe');
+    // Downside deviation: sqrt((0 + 0.01 + 0 + 0) / 4) = 0.05
+    assertClose(metrics.sortino, (0.05 / 0.05) * Math.sqrt(52), 'sortino');
+  });
+
+  it('finds the deepest peak-to-trough decline', async () => {
+    const drawdown = maxDrawdown(await fixtureSeries('AAPL'));
+    assertClose(drawdown.maxDrawdown, -0.1, 'maxDrawdown');
+    assert.equal(drawdown.peakDate, '2024-01-03');
+    assert.equal(drawdown.troughDate, '2024-01-04');
+  });
+
+  it('reads value at risk and expected shortfall from the return distribution', () => {
+    // Sorted returns -0.1, 0.1, 0.1, 0.1: the 5% quantile lies 0.15 of the way from -0.1 to 0.1
+    const { valueAtRisk: var95, expectedShortfall } = valueAtRisk([0.1, -0.1, 0.1, 0.1], 0.95);
+    assertClose(var95, 0.07, 'valueAtRisk');
+    assertClose(expectedShortfall, 0.1, 'expectedShortfall');
+    assert.deepEqual(valueAtRisk([]), { valueAtRisk: null, expectedShortfall: null });
+  });
+
+  // SPY month-end closes from 100 (2023-01-31) to 114 (2024-03-28), one point a month
+  it('measures trailing returns from the close on or before each start date', async () => {
+    const returns = periodReturns(await fixtureSeries('SPY'));
+    assertClose(returns['1m'], 114 / 112 - 1, '1m'); // 2024-02-28 falls before the February close
+    assertClose(returns['3m'], 114 / 110 - 1, '3m'); // 2023-12-28 -> 2023-11-30
+    assertClose(returns['6m'], 114 / 107 - 1, '6m'); // 2023-09-28 -> 2023-08-31
+    assertClose(returns.ytd, 114 / 111 - 1, 'ytd'); // 2023-12-31 -> 2023-12-29
+    assertClose(returns['1y'], 114 / 101 - 1, '1y'); // 2023-03-28 -> 2023-02-28
+    assertClose(returns.total, 114 / 100 - 1, 'total');
+  });
+
+  it('leaves periods the series does not reach back to as null', async () => {
+    const returns = periodReturns(await fixtureSeries('AAPL'));
+    assert.equal(returns['1m'], null);
+    assert.equal(returns['1y'], null);
+    assertClose(returns.total, 0.1979, 'total');
+  });
+
+  it('measures beta against a benchmark that moves half as much', async () => {
+    const series = await fixtureSeries('AAPL');
+    let close = 100;
+    const benchmark = series.map(({ date }, i) => {
+      if (i > 0) close *= 1 + (series[i].close / series[i - 1].close - 1) / 2;
+      return { date, close };
+    });
+    const metrics = riskMetrics(series, { benchmark });
+    assertClose(metrics.beta, 2, 'beta');
+    assertClose(metrics.correlation, 1, 'correlation');
+    assert.equal(metrics.benchmarkObservations, 4);
+  });
+});
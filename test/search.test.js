@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { setApiBackend } = await import('../lib/api.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+// Each key sees a different stock universe, as with accounts on different plans
+const UNIVERSES_BY_KEY = {
+  'Bearer alpha-key': [{ ticker: 'ALPH', name: 'Acme Alpha Holdings', exchange: 'NASDAQ' }],
+  'Bearer beta-key': [{ ticker: 'BETA', name: 'Acme Beta Corp', exchange: 'NYSE' }],
+};
+
+describe('symbol_search', () => {
+  const registry = createRegistry(tools);
+
+  it('keeps one index per API key', async () => {
+    const loads = [];
+    setApiBackend(async (url, { headers }) => {
+      loads.push(headers.Authorization);
+      return new Response(JSON.stringify({ data: UNIVERSES_BY_KEY[headers.Authorization] }), { status: 200 });
+    });
+    const search = (apiKey) => registry.call('symbol_search', { query: 'Acme', assetClasses: ['stock'] }, { apiKey });
+
+    assert.deepEqual((await search('alpha-key')).matches.map(({ ticker }) => ticker), ['ALPH']);
+    assert.deepEqual((await search('beta-key')).matches.map(({ ticker }) => ticker), ['BETA']);
+    // Each index is built once and then reused for its own key
+    assert.deepEqual((await search('alpha-key')).matches.map(({ ticker }) => ticker), ['ALPH']);
+    assert.deepEqual(loads, ['Bearer alpha-key', 'Bearer beta-key']);
+  });
+});
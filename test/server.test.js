@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER = fileURLToPath(new URL('../index.js', import.meta.url));
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+
+/**
+ * The whole CallTool path over stdio: argument validation, dispatch, the HTTP client, output shaping and
+ * error payloads, with responses replayed from test/fixtures
+ */
+describe('CallTool over stdio with the fixture backend', () => {
+  const client = new Client({ name: 'axion-test', version: '1.0.0' });
+
+  before(async () => {
+    const env = {
+      ...process.env,
+      API_BACKEND: 'fixtures',
+      API_FIXTURES_DIR: FIXTURES_DIR,
+      API_KEY: 'test-key',
+      API_MAX_RETRIES: '0',
+      CACHE_MAX_ENTRIES: '0',
+      MCP_TRANSPORT: 'stdio',
+    };
+    delete env.AXION_CONFIG;
+    delete env.CACHE_DIR;
+    await client.connect(new StdioClientTransport({ command: process.execPath, args: [SERVER], env, stderr: 'ignore' }));
+  });
+
+  after(() => client.close());
+
+  const call = async (name, args) => {
+    const result = await client.callTool({ name, arguments: args });
+    return { ...result, texts: result.content.map(({ text }) => text) };
+  };
+
+  it('returns the recorded response for a normalized ticker', async () => {
+    const { isError, texts } = await call('stocks_prices', { ticker: 'aapl' });
+    assert.ok(!isError);
+    const body = JSON.parse(texts[0]);
+    assert.equal(body.ticker, 'AAPL');
+    assert.deepEqual(body.data.map(({ close }) => close), [100, 110, 99, 108.9, 119.79]);
+  });
+
+  it('shapes the output with fields, paging and format', async () => {
+    const { isError, texts } = await call('stocks_tickers', { fields: ['data[*].ticker', 'data[*].exchange'], limit: 2, offset: 1, format: 'csv' });
+    assert.ok(!isError);
+    assert.equal(texts[0], 'ticker,exchange\nMSFT,NASDAQ\nNVDA,NASDAQ');
+    assert.match(texts[1], /offset=3/);
+  });
+
+  it('reports a missing fixture as a NOT_FOUND error payload', async () => {
+    const { isError, texts } = await call('stocks_prices', { ticker: 'ZZZZ' });
+    assert.equal(isError, true);
+    const { error } = JSON.parse(texts[0]);
+    assert.equal(error.code, 'NOT_FOUND');
+    assert.equal(error.endpoint, 'stocks/ZZZZ/prices');
+  });
+
+  it('rejects arguments that do not match the inputSchema', async () => {
+    const { isError, texts } = await call('stocks_prices', { ticker: 'AAPL', interval: 'hourly' });
+    assert.equal(isError, true);
+    assert.equal(JSON.parse(texts[0]).error.code, 'INVALID_ARGUMENT');
+  });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SNAPSHOT_SECTIONS } from '../lib/tools/snapshot.js';
+
+describe('company_snapshot sections', () => {
+  it('reduces a profile to its fixed fields', () => {
+    const info = SNAPSHOT_SECTIONS.info.summarize({
+      data: { longName: 'Apple Inc.', sector: 'Technology', industry: 'Consumer Electronics', country: 'United States', longBusinessSummary: 'Apple designs...' },
+    });
+    assert.deepEqual(info, {
+      name: 'Apple Inc.', sector: 'Technology', industry: 'Consumer Electronics', country: 'United States', website: null, employees: null,
+    });
+  });
+
+  it('reads the latest quarter and computes the EPS surprise', () => {
+    const earnings = SNAPSHOT_SECTIONS.earnings.summarize({
+      data: { earningsChart: { quarterly: [{ date: '4Q2023', actual: 2.18, estimate: 2.1 }, { date: '1Q2024', actual: 1.53, estimate: 1.5 }] } },
+    });
+    assert.equal(earnings.period, '1Q2024');
+    assert.ok(Math.abs(earnings.surprisePercent - 2) < 1e-9);
+  });
+
+  it('derives the consensus from the current month of a recommendation trend', () => {
+    const recommendation = SNAPSHOT_SECTIONS.recommendation.summarize({
+      data: [
+        { period: '-1m', strongBuy: 0, buy: 0, hold: 10, sell: 0, strongSell: 0 },
+        { period: '0m', strongBuy: 10, buy: 10, hold: 0, sell: 0, strongSell: 0 },
+      ],
+    });
+    assert.equal(recommendation.meanRating, 1.5);
+    assert.equal(recommendation.analysts, 20);
+    assert.equal(recommendation.consensus, 'buy');
+  });
+
+  it('lists normalized peer tickers without the company itself', () => {
+    assert.deepEqual(SNAPSHOT_SECTIONS.peers.summarize({ data: ['MSFT', 'aapl', 'GOOG', 'msft'] }, 'AAPL'), { tickers: ['MSFT', 'GOOG'] });
+  });
+});
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { mergeStatements, parseStatement } = await import('../lib/analytics/statements.js');
+const { periodRatios } = await import('../lib/analytics/ratios.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+describe('statement normalizer', () => {
+  it('reads a list of period objects', () => {
+    const periods = parseStatement({
+      incomeStatementHistoryQuarterly: {
+        incomeStatementHistory: [{ endDate: { raw: 1719705600, fmt: '2024-06-30' }, totalRevenue: { raw: 1000 }, netIncome: '224' }],
+      },
+    }, 'income');
+    assert.equal(periods.length, 1);
+    assert.deepEqual([periods[0].frequency, periods[0].endDate], ['quarterly', '2024-06-30']);
+    assert.deepEqual([periods[0].values.revenue, periods[0].values.netIncome, periods[0].values.costOfRevenue], [1000, 224, null]);
+  });
+
+  it('reads periods keyed by end date with line items named in any case', () => {
+    const periods = parseStatement({
+      '2024-06-30': { 'Total Assets': 2000, total_stockholder_equity: '1,200' },
+      '2023-06-30': { TotalAssets: 1800 },
+    }, 'balance');
+    assert.deepEqual(periods.map(({ endDate, values }) => [endDate, values.totalAssets, values.shareholdersEquity]), [
+      ['2024-06-30', 2000, 1200],
+      ['2023-06-30', 1800, null],
+    ]);
+  });
+
+  it('reads line items keyed by end date', () => {
+    const periods = parseStatement({
+      operatingCashFlow: { '2024-06-30': 350, '2023-06-30': 280 },
+      capex: { '2024-06-30': -100 },
+    }, 'cashFlow');
+    assert.deepEqual(periods.map(({ endDate, values }) => [endDate, values.operatingCashFlow, values.capitalExpenditures]), [
+      ['2024-06-30', 350, -100],
+      ['2023-06-30', 280, null],
+    ]);
+  });
+
+  it('guesses the frequency from the spacing of unlabeled end dates', () => {
+    const quarters = parseStatement([{ date: '2024-03-31', revenue: 1 }, { date: '2023-12-31', revenue: 1 }, { date: '2023-09-30', revenue: 1 }], 'income');
+    assert.deepEqual(quarters.map(({ frequency }) => frequency), ['quarterly', 'quarterly', 'quarterly']);
+    const years = parseStatement([{ date: '2024-06-30', revenue: 1 }, { date: '2023-06-30', revenue: 1 }], 'income');
+    assert.deepEqual(years.map(({ frequency }) => frequency), ['annual', 'annual']);
+    // A single period has no spacing to go by
+    assert.equal(parseStatement([{ date: '2024-06-30', revenue: 1 }], 'income')[0].frequency, 'annual');
+  });
+
+  it('prefers a period field or container name over the spacing', () => {
+    const periods = parseStatement([{ date: '2024-03-31', periodType: '12M', revenue: 1 }, { date: '2023-12-31', periodType: '3M', revenue: 1 }], 'income');
+    assert.deepEqual(periods.map(({ frequency }) => frequency), ['annual', 'quarterly']);
+    const annual = parseStatement({ annualReports: [{ date: '2024-03-31', revenue: 1 }, { date: '2023-12-31', revenue: 1 }] }, 'income');
+    assert.deepEqual(annual.map(({ frequency }) => frequency), ['annual', 'annual']);
+  });
+
+  it('derives missing subtotals when statements are merged', () => {
+    const [period] = mergeStatements({
+      income: [{ frequency: 'annual', endDate: '2024-06-30', values: { revenue: 1000, costOfRevenue: 400, operatingIncome: 300 } }],
+      balance: [{ frequency: 'annual', endDate: '2024-06-30', values: { shortTermDebt: null, longTermDebt: 300 } }],
+      cashFlow: [{ frequency: 'annual', endDate: '2024-06-30', values: { operatingCashFlow: 350, capitalExpenditures: -100, depreciationAndAmortization: 50 } }],
+    });
+    assert.deepEqual([period.income.grossProfit, period.income.ebit, period.income.ebitda], [600, 300, 350]);
+    assert.equal(period.balance.totalDebt, 300);
+    assert.equal(period.cashFlow.freeCashFlow, 250);
+    assert.equal(period.income.netIncome, null);
+  });
+});
+
+describe('ratios', () => {
+  it('returns null instead of dividing by zero or by a missing account', () => {
+    const [period] = mergeStatements({ income: [{ frequency: 'annual', endDate: '2024-06-30', values: { revenue: 0, netIncome: 10, interestExpense: 0, operatingIncome: 5 } }] });
+    const ratios = periodRatios(period);
+    assert.deepEqual(ratios.margins, { gross: null, operating: null, ebitda: null, net: null, freeCashFlow: null });
+    assert.equal(ratios.returns.roe, null);
+    assert.equal(ratios.leverage.debtToEquity, null);
+    assert.equal(ratios.leverage.interestCoverage, null);
+    assert.equal(ratios.liquidity.quickRatio, null);
+    assert.deepEqual(Object.values(ratios.growth), [null, null, null, null, null]);
+  });
+
+  it('grows from a negative base by the change over its absolute value', () => {
+    const [current, prior] = mergeStatements({
+      income: [
+        { frequency: 'annual', endDate: '2024-06-30', values: { netIncome: 50 } },
+        { frequency: 'annual', endDate: '2023-06-30', values: { netIncome: -100 } },
+      ],
+    });
+    assert.equal(periodRatios(current, { prior }).growth.netIncome, 1.5);
+  });
+});
+
+describe('financial_statements', () => {
+  const registry = createRegistry(tools);
+
+  it('merges the three layouts and computes ratios against hand-computed values', async () => {
+    const result = await registry.call('financial_statements', { ticker: 'msft' });
+    assert.deepEqual(result.periods.map(({ frequency, endDate }) => [frequency, endDate]), [
+      ['annual', '2024-06-30'],
+      ['annual', '2023-06-30'],
+    ]);
+
+    const [latest, earlier] = result.periods;
+    assert.deepEqual(latest.ratios.margins, { gross: 0.6, operating: 0.3, ebitda: 0.35, net: 0.224, freeCashFlow: 0.25 });
+    // Average equity (1200 + 1000) / 2; NOPAT 300 x (1 - 56 / 280) over average invested capital (1450 + 1200) / 2
+    assert.deepEqual(latest.ratios.returns, { roe: 0.203636, roa: 0.117895, roic: 0.181132, taxRate: 0.2 });
+    // Debt 100 + 300, net of 150 cash, against EBITDA 300 + 50
+    assert.deepEqual(latest.ratios.leverage, { debtToEquity: 0.333333, debtToAssets: 0.2, netDebtToEbitda: 0.714286, interestCoverage: 15 });
+    assert.deepEqual(latest.ratios.liquidity, { currentRatio: 2, quickRatio: 1.833333, cashRatio: 0.5 });
+    assert.deepEqual(latest.ratios.growth, { revenue: 0.25, operatingIncome: 0.5, netIncome: 0.4, dilutedEps: null, freeCashFlow: 0.25 });
+
+    // The oldest period has no previous balances to average and nothing to grow from
+    assert.equal(earlier.ratios.returns.roe, 0.16);
+    assert.equal(earlier.ratios.liquidity.currentRatio, null);
+    assert.equal(earlier.ratios.growth.revenue, null);
+  });
+
+  it('falls back to the last fiscal year for trailing free cash flow when the snapshot tools fail', async () => {
+    const result = await registry.call('financial_statements', { ticker: 'MSFT', frequency: 'quarterly' });
+    assert.deepEqual(result.periods, []);
+    assert.deepEqual(result.trailing, {
+      price: null,
+      marketCap: null,
+      revenue: null,
+      ebitda: null,
+      operatingCashFlow: null,
+      freeCashFlow: 250,
+      freeCashFlowBasis: 'fiscal year ending 2024-06-30',
+      fcfYield: null,
+      cash: null,
+      debt: null,
+    });
+    assert.deepEqual(result.errors.map(({ tool, error }) => [tool, error.split(':')[0]]), [
+      ['profiles_financials', 'NOT_FOUND'],
+      ['profiles_summary', 'NOT_FOUND'],
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The configuration is read once on import, so the environment is set first
+Object.assign(process.env, {
+  API_BACKEND: 'fixtures',
+  API_FIXTURES_DIR: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  API_KEY: 'test-key',
+  API_MAX_RETRIES: '0',
+  API_RATE_LIMIT: '0',
+  CACHE_MAX_ENTRIES: '0',
+});
+delete process.env.AXION_CONFIG;
+delete process.env.CACHE_DIR;
+
+const { findCycles, relatedCompanies, toDot, toMermaid } = await import('../lib/tools/supplyChainGraph.js');
+const { createRegistry } = await import('../lib/registry.js');
+const { tools } = await import('../lib/tools/index.js');
+
+describe('relatedCompanies', () => {
+  it('reads plain tickers and company objects under any ticker key', () => {
+    assert.deepEqual(relatedCompanies({ data: ['MSFT', { symbol: 'GOOG' }, { peer: 'NVDA' }, { ticker: 'TSM', companyName: 'TSMC' }] }), [
+      { ticker: 'MSFT', name: null },
+      { ticker: 'GOOG', name: null },
+      { ticker: 'NVDA', name: null },
+      { ticker: 'TSM', name: 'TSMC' },
+    ]);
+  });
+
+  it('lists the companies of an object that describes the subject', () => {
+    assert.deepEqual(relatedCompanies({ ticker: 'AAPL', name: 'Apple Inc.', peers: ['MSFT', { symbol: 'GOOG', name: 'Alphabet' }] }), [
+      { ticker: 'MSFT', name: null },
+      { ticker: 'GOOG', name: 'Alphabet' },
+    ]);
+  });
+
+  it('keeps companies without a ticker by name', () => {
+    assert.deepEqual(relatedCompanies({ data: { suppliers: [{ name: 'Private Co' }] } }), [{ ticker: null, name: 'Private Co' }]);
+  });
+});
+
+describe('findCycles', () => {
+  it('returns each loop of supply edges once, ignoring peer edges', () => {
+    const edges = [
+      { from: 'A', to: 'B', relation: 'supplies' },
+      { from: 'B', to: 'C', relation: 'supplies' },
+      { from: 'C', to: 'A', relation: 'supplies' },
+      { from: 'C', to: 'D', relation: 'supplies' },
+      { from: 'D', to: 'E', relation: 'supplies' },
+      { from: 'E', to: 'D', relation: 'supplies' },
+      { from: 'E', to: 'F', relation: 'peer' },
+      { from: 'F', to: 'E', relation: 'peer' },
+    ];
+    assert.deepEqual(findCycles(['A', 'B', 'C', 'D', 'E', 'F'], edges), [['D', 'E'], ['A', 'B', 'C']]);
+  });
+
+  it('finds no cycle in a chain', () => {
+    assert.deepEqual(findCycles(['A', 'B', 'C'], [{ from: 'A', to: 'B', relation: 'supplies' }, { from: 'B', to: 'C', relation: 'supplies' }]), []);
+  });
+});
+
+describe('diagrams', () => {
+  const nodes = [
+    { id: 'TSM', ticker: 'TSM', name: 'TSMC' },
+    { id: 'AAPL', ticker: 'AAPL', name: null },
+    { id: 'Say "Hi" Ltd', ticker: null, name: 'Say "Hi" Ltd' },
+  ];
+  const edges = [
+    { from: 'TSM', to: 'AAPL', relation: 'supplies' },
+    { from: 'Say "Hi" Ltd', to: 'AAPL', relation: 'supplies' },
+    { from: 'AAPL', to: 'TSM', relation: 'peer' },
+  ];
+
+  it('draws a Mermaid flowchart with escaped labels and dotted peer links', () => {
+    assert.equal(toMermaid(nodes, edges), [
+      'graph LR',
+      '  n0["TSM<br/>TSMC"]',
+      '  n1["AAPL"]',
+      '  n2["Say #quot;Hi#quot; Ltd"]',
+      '  n0 --> n1',
+      '  n2 --> n1',
+      '  n1 -. peer .- n0',
+    ].join('\n'));
+  });
+
+  it('writes DOT source with quoted ids and undirected dashed peer edges', () => {
+    assert.equal(toDot(nodes, edges), [
+      'digraph supply_chain {',
+      '  rankdir=LR;',
+      '  "TSM" [label="TSM\\nTSMC"];',
+      '  "AAPL" [label="AAPL"];',
+      '  "Say \\"Hi\\" Ltd" [label="Say \\"Hi\\" Ltd"];',
+      '  "TSM" -> "AAPL";',
+      '  "Say \\"Hi\\" Ltd" -> "AAPL";',
+      '  "AAPL" -> "TSM" [style=dashed, dir=none, label="peer"];',
+      '}',
+    ].join('\n'));
+  });
+});
+
+describe('supply_chain_graph', () => {
+  const registry = createRegistry(tools);
+
+  it('walks customers hop by hop and reports loops', async () => {
+    const result = await registry.call('supply_chain_graph', { ticker: 'tsm', direction: 'downstream', diagram: 'none' });
+    assert.deepEqual(result.nodes.map(({ id, depth }) => [id, depth]), [
+      ['TSM', 0],
+      ['AAPL', 1],
+      ['NVDA', 1],
+      ['BBY', 2],
+      ['US Government', 2],
+      ['MSFT', 2],
+    ]);
+    assert.equal(result.nodes.find(({ id }) => id === 'BBY').name, 'Best Buy');
+    assert.deepEqual(result.edges.map(({ from, to }) => `${from}->${to}`), [
+      'TSM->AAPL', 'TSM->NVDA', 'AAPL->BBY', 'AAPL->US Government', 'NVDA->TSM', 'NVDA->MSFT',
+    ]);
+    assert.deepEqual(result.cycles, [['NVDA', 'TSM']]);
+    assert.equal(result.truncated, false);
+    // Companies with no recorded customers are leaves, not errors
+    assert.equal(result.errors, undefined);
+    assert.equal(result.mermaid, undefined);
+  });
+
+  it('stops at the depth and at maxNodes', async () => {
+    const shallow = await registry.call('supply_chain_graph', { ticker: 'TSM', direction: 'downstream', depth: 1, diagram: 'dot' });
+    assert.deepEqual(shallow.nodes.map(({ id }) => id), ['TSM', 'AAPL', 'NVDA']);
+    assert.deepEqual(shallow.cycles, []);
+    assert.ok(shallow.dot.includes('"TSM" -> "AAPL";'));
+
+    const capped = await registry.call('supply_chain_graph', { ticker: 'TSM', direction: 'downstream', maxNodes: 4 });
+    assert.deepEqual(capped.nodes.map(({ id }) => id), ['TSM', 'AAPL', 'NVDA', 'BBY']);
+    assert.equal(capped.edges.some(({ to }) => to === 'MSFT' || to === 'US Government'), false);
+    assert.equal(capped.truncated, true);
+  });
+
+  it('links peers read from an object that describes the company', async () => {
+    const result = await registry.call('supply_chain_graph', { ticker: 'AAPL', direction: 'peers', depth: 1 });
+    assert.deepEqual(result.edges, [
+      { from: 'AAPL', to: 'GOOG', relation: 'peer' },
+      { from: 'AAPL', to: 'NVDA', relation: 'peer' },
+      { from: 'AAPL', to: 'ZZZZ', relation: 'peer' },
+    ]);
+    assert.equal(result.nodes.find(({ id }) => id === 'NVDA').name, 'NVIDIA Corp');
+    assert.ok(result.mermaid.startsWith('graph LR\n  n0["AAPL"]'));
+    assert.ok(result.mermaid.includes('  n0 -. peer .- n1'));
+  });
+});
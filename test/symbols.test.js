@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { InvalidArgumentError } from '../lib/errors.js';
+import { buildEndpoint } from '../lib/registry.js';
+import { encodePathSegment, normalizeTicker } from '../lib/symbols.js';
+
+describe('ticker normalization', () => {
+  const cases = {
+    stock: [[' brk-b ', 'BRK.B'], ['BRK/B', 'BRK.B'], ['brk b', 'BRK.B'], ['$aapl', 'AAPL']],
+    etf: [['$spy', 'SPY']],
+    crypto: [['btc-usd', 'BTC'], ['BTC/USD', 'BTC'], ['ETHUSDT', 'ETH'], ['xbt', 'BTC'], ['TUSD', 'TUSD'], ['$sol', 'SOL']],
+    forex: [['eur/usd', 'EURUSD'], ['EUR-USD', 'EURUSD'], ['EUR USD', 'EURUSD'], ['EURUSD=X', 'EURUSD']],
+    future: [['es=f', 'ES'], ['/ES', 'ES']],
+    index: [['^gspc', '^GSPC'], ['.aex', '.AEX'], ['SPX', 'SPX']],
+  };
+  for (const [asset, pairs] of Object.entries(cases)) {
+    it(`maps ${asset} notations to the API symbol`, () => {
+      for (const [input, expected] of pairs) {
+        assert.equal(normalizeTicker(input, asset), expected, `${asset} ${input}`);
+      }
+    });
+  }
+
+  it('rejects empty symbols and symbols that could leave their path segment', () => {
+    for (const input of ['', '   ', '../AAPL', 'AAPL?x=1', 'AA PL X', '.']) {
+      assert.throws(() => normalizeTicker(input, 'stock'), InvalidArgumentError, input);
+    }
+  });
+
+  it('explains crypto pairs quoted in another asset', () => {
+    assert.throws(() => normalizeTicker('eth/btc', 'crypto'), (error) => error instanceof InvalidArgumentError
+      && /crypto pair/.test(error.message) && /"ETH"/.test(error.hint));
+  });
+
+  it('encodes symbols in the request path', () => {
+    const tool = { path: 'indices/{ticker}/prices', asset: 'index', query: ['from'] };
+    assert.equal(buildEndpoint(tool, { ticker: '^gspc', from: '2024-01-01' }), 'indices/%5EGSPC/prices?from=2024-01-01');
+    assert.equal(encodePathSegment('a b/c', 'id'), 'a%20b%2Fc');
+    assert.throws(() => encodePathSegment('..', 'id'), InvalidArgumentError);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validate } from '../lib/validate.js';
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    ticker: { type: "string", pattern: "^[A-Z]+$" },
+    interval: { type: "string", enum: ["daily", "weekly"] },
+    from: { type: "string", format: "date" },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    weights: { type: "array", items: { type: "number" }, minItems: 1, maxItems: 3 },
+    position: {
+      type: "object",
+      properties: { quantity: { type: "number", exclusiveMinimum: 0 } },
+      required: ["quantity"]
+    }
+  },
+  required: ["ticker"]
+};
+
+describe('argument validation', () => {
+  it('accepts arguments that match the schema', () => {
+    assert.deepEqual(validate(SCHEMA, { ticker: 'AAPL', interval: 'daily', from: '2024-02-29', limit: 10, weights: [0.5, 1], position: { quantity: 2 } }), []);
+  });
+
+  it('rejects wrong types, naming the field and the value', () => {
+    assert.deepEqual(validate(SCHEMA, { ticker: 42, limit: 2.5 }), [
+      { field: 'ticker', message: 'must be string, got integer 42' },
+      { field: 'limit', message: 'must be integer, got number 2.5' },
+    ]);
+    assert.deepEqual(validate(SCHEMA, 'AAPL'), [{ field: '(arguments)', message: 'must be object, got string "AAPL"' }]);
+  });
+
+  it('rejects missing required fields, including nested ones', () => {
+    assert.deepEqual(validate(SCHEMA, { position: {} }), [
+      { field: 'ticker', message: 'is required' },
+      { field: 'position.quantity', message: 'is required' },
+    ]);
+  });
+
+  it('rejects values outside an enum', () => {
+    assert.deepEqual(validate(SCHEMA, { ticker: 'AAPL', interval: 'hourly' }), [
+      { field: 'interval', message: 'must be one of "daily", "weekly", got "hourly"' },
+    ]);
+  });
+
+  it('rejects unknown properties, including names inherited by every object', () => {
+    const errors = validate(SCHEMA, { ticker: 'AAPL', tickr: 'MSFT', constructor: 'x' });
+    assert.deepEqual(errors.map(({ field }) => field), ['tickr', 'constructor']);
+    assert.match(errors[0].message, /^is not a known argument \(expected one of: ticker, interval/);
+    assert.deepEqual(validate({ type: "object", properties: {} }, { x: 1 }), [
+      { field: 'x', message: 'is not a known argument (this tool takes no arguments)' },
+    ]);
+  });
+
+  it('checks ranges, patterns, formats and array items', () => {
+    const errors = validate(SCHEMA, {
+      ticker: 'aapl',
+      from: '2023-02-29',
+      limit: 0,
+      weights: [1, 'x', 2, 3],
+      position: { quantity: 0 },
+    });
+    assert.deepEqual(errors, [
+      { field: 'ticker', message: 'must match pattern ^[A-Z]+$' },
+      { field: 'from', message: 'must be a date (YYYY-MM-DD), got "2023-02-29"' },
+      { field: 'limit', message: 'must be >= 1, got 0' },
+      { field: 'weights', message: 'must have at most 3 items' },
+      { field: 'weights[1]', message: 'must be number, got string "x"' },
+      { field: 'position.quantity', message: 'must be > 0, got 0' },
+    ]);
+  });
+});